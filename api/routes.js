@@ -0,0 +1,203 @@
+import { HotelService } from '../services/hotelService.js';
+import { MarketDataService } from '../services/marketDataService.js';
+import { FAQService } from '../services/faqService.js';
+import { RunService } from '../services/runService.js';
+import { JobService } from '../services/jobService.js';
+import { MD_ALL_FIELDS } from '../middleware/constants.js';
+import { httpError, sendJson, getCacheHeaders, isNotModified, getNewestDate, readJsonBody } from '../utils/http.js';
+
+const FIELD_NAMES = MD_ALL_FIELDS.map(f => f.name);
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Parse a non-negative integer query parameter
+ * @param {URLSearchParams} query - Query string
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value when the parameter is missing
+ * @param {number} max - Largest accepted value
+ * @returns {number}
+ * @throws {Error} 400 when the value is not an integer in range
+ */
+const parseIntParam = (query, name, defaultValue, max = Number.MAX_SAFE_INTEGER) => {
+  const raw = query.get(name);
+  if (raw === null || raw === '') {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(raw) || parseInt(raw, 10) > max) {
+    throw httpError(400, `${name} must be an integer between 0 and ${max}`);
+  }
+  return parseInt(raw, 10);
+};
+
+/**
+ * Check a list of market data field names
+ * @param {Array<string>} fields - Field names
+ * @returns {Array<string>} Unique field names
+ * @throws {Error} 400 on unknown field names
+ */
+const checkFieldNames = (fields) => {
+  const unique = [...new Set(fields)];
+  const unknown = unique.filter(f => !FIELD_NAMES.includes(f));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown field(s): ${unknown.join(', ')}`);
+  }
+  return unique;
+};
+
+/**
+ * Parse ?fields=a,b into market data field names, all fields when missing
+ * @param {URLSearchParams} query - Query string
+ * @returns {Array<string>}
+ * @throws {Error} 400 on unknown field names
+ */
+const parseFields = (query) => {
+  const raw = query.get('fields');
+  if (!raw) {
+    return FIELD_NAMES;
+  }
+
+  const fields = checkFieldNames(raw.split(',').map(f => f.trim()).filter(Boolean));
+  return fields.length > 0 ? fields : FIELD_NAMES;
+};
+
+// Load an active hotel or answer 404
+const getHotelOrThrow = async (hotelUuid) => {
+  const hotel = await HotelService.getHotelByUuid(hotelUuid);
+  if (!hotel) {
+    throw httpError(404, `Hotel ${hotelUuid} not found`);
+  }
+  return hotel;
+};
+
+// Send a cacheable response, or 304 when the client's copy is still current
+const sendCached = (req, res, body, cacheHeaders) => {
+  if (isNotModified(req, cacheHeaders)) {
+    sendJson(res, 304, null, cacheHeaders);
+    return;
+  }
+  sendJson(res, 200, body, cacheHeaders);
+};
+
+// GET /hotels?limit=&offset=
+async function listHotels(req, res, params, query) {
+  const limit = parseIntParam(query, 'limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = parseIntParam(query, 'offset', 0);
+  const hotels = await HotelService.getActiveHotels({ limit, offset });
+  sendJson(res, 200, { hotels, limit, offset });
+}
+
+// GET /hotels/:uuid/market-data?fields=
+async function getMarketData(req, res, { uuid }, query) {
+  const fields = parseFields(query);
+  const hotel = await getHotelOrThrow(uuid);
+  const marketData = await MarketDataService.getMarketDataByUuid(uuid);
+  if (!marketData) {
+    throw httpError(404, `No market data for hotel ${uuid}`);
+  }
+
+  const data = Object.fromEntries(fields.map(f => [f, marketData[f] ?? null]));
+  sendCached(req, res, {
+    hotel_uuid: hotel.hotel_uuid,
+    name: hotel.name,
+    updated_at: marketData.updated_at,
+    data,
+  }, getCacheHeaders(marketData.updated_at, `market-data:${uuid}:${fields.join(',')}`));
+}
+
+// GET /hotels/:uuid/faqs
+async function getFaqs(req, res, { uuid }) {
+  const hotel = await getHotelOrThrow(uuid);
+  const faqs = await FAQService.getFaqsByUuid(uuid);
+  const updatedAt = getNewestDate(faqs);
+
+  // The count is part of the ETag so a soft-deleted FAQ changes it even when no row got newer
+  sendCached(req, res, {
+    hotel_uuid: hotel.hotel_uuid,
+    name: hotel.name,
+    updated_at: updatedAt,
+    faqs: faqs.map(({ question, answer, first_seen_at, last_seen_at, updated_at }) => ({
+      question, answer, first_seen_at, last_seen_at, updated_at,
+    })),
+  }, getCacheHeaders(updatedAt, `faqs:${uuid}:${faqs.length}`));
+}
+
+// GET /runs/:id
+async function getRun(req, res, { id }) {
+  const run = await RunService.getRun(id);
+  if (!run) {
+    throw httpError(404, `Run ${id} not found`);
+  }
+  sendJson(res, 200, run);
+}
+
+// POST /hotels/:uuid/refresh with an optional body { fields: [...], requested_by }
+async function refreshHotel(req, res, { uuid }) {
+  const body = await readJsonBody(req);
+  let fields = null;
+  if (body.fields !== undefined && body.fields !== null) {
+    if (!Array.isArray(body.fields) || body.fields.length === 0 || !body.fields.every(f => typeof f === 'string')) {
+      throw httpError(400, 'fields must be a non-empty array of field names');
+    }
+    fields = checkFieldNames(body.fields.map(f => f.trim()));
+  }
+  if (body.requested_by !== undefined && typeof body.requested_by !== 'string') {
+    throw httpError(400, 'requested_by must be a string');
+  }
+
+  await getHotelOrThrow(uuid);
+  const { job, coalesced } = await JobService.enqueue(uuid, { fields, requestedBy: body.requested_by?.trim() || null });
+  sendJson(res, 202, { job, coalesced }, { Location: `/jobs/${job.id}` });
+}
+
+// GET /jobs/:id
+async function getJob(req, res, { id }) {
+  if (!/^\d+$/.test(id)) {
+    throw httpError(404, `Job ${id} not found`);
+  }
+  const job = await JobService.getJob(parseInt(id, 10));
+  if (!job) {
+    throw httpError(404, `Job ${id} not found`);
+  }
+  sendJson(res, 200, job);
+}
+
+// Method, path pattern (named groups become params) and handler
+export const ROUTES = [
+  { method: 'GET', pattern: /^\/hotels\/?$/, handler: listHotels },
+  { method: 'GET', pattern: /^\/hotels\/(?<uuid>[^/]+)\/market-data\/?$/, handler: getMarketData },
+  { method: 'GET', pattern: /^\/hotels\/(?<uuid>[^/]+)\/faqs\/?$/, handler: getFaqs },
+  { method: 'POST', pattern: /^\/hotels\/(?<uuid>[^/]+)\/refresh\/?$/, handler: refreshHotel },
+  { method: 'GET', pattern: /^\/runs\/(?<id>[^/]+)\/?$/, handler: getRun },
+  { method: 'GET', pattern: /^\/jobs\/(?<id>[^/]+)\/?$/, handler: getJob },
+];
+
+/**
+ * Find the route of a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @returns {{handler: Function, params: Object}} Matched handler and decoded path params
+ * @throws {Error} 404 when no route matches the path, 405 when the path exists with another method
+ */
+export const matchRoute = (method, pathname) => {
+  let pathMatched = false;
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (!match) {
+      continue;
+    }
+    pathMatched = true;
+    // HEAD is answered like GET, node:http drops the body
+    if (route.method === method || (route.method === 'GET' && method === 'HEAD')) {
+      try {
+        const params = Object.fromEntries(
+          Object.entries(match.groups || {}).map(([name, value]) => [name, decodeURIComponent(value)])
+        );
+        return { handler: route.handler, params };
+      } catch {
+        throw httpError(400, `Malformed path ${pathname}`);
+      }
+    }
+  }
+  throw pathMatched ? httpError(405, `Method ${method} not allowed`) : httpError(404, `No route for ${pathname}`);
+};
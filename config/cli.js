@@ -0,0 +1,344 @@
+import { parseArgs } from 'util';
+import { MD_ALL_FIELDS, REFRESH_MODES, EXPORT_FORMATS } from '../middleware/constants.js';
+import { LLM_PROVIDERS } from './llm.js';
+
+const USAGE = `Usage: node index.js [options]
+
+Options:
+  --hotel <uuid>        Process a single hotel by its hotel_uuid
+  --fields <list>       Comma separated market_data fields to fetch (default: all)
+  --mode <mode>         full: fetch every field, incremental: only empty or stale fields
+                        (default: REFRESH_MODE env or full)
+  --skip-faq            Do not fetch FAQs
+  --skip-crawl          Do not crawl the hotel website before asking the LLM
+                        (crawling is also off when CRAWL_ENABLED=false)
+  --skip-translation    Do not update translations into TRANSLATION_LOCALES
+  --dry-run             Print the merged record instead of writing to the database
+  --limit <n>           Process at most n hotels
+  --offset <n>          Skip the first n hotels
+  --concurrency <n>     Number of hotels processed in parallel (default: CONCURRENCY env or 1)
+  --provider <name>     LLM provider for every field group in this run
+                        (${Object.keys(LLM_PROVIDERS).join(', ')}; default: LLM_PROVIDER* env)
+  --worker              Process queued refresh jobs (POST /hotels/:uuid/refresh) until stopped
+                        instead of a batch run; --concurrency sets the number of parallel jobs
+  --resume              Continue the latest run if it did not finish (crash or SIGINT/SIGTERM) and
+                        started within RESUME_WINDOW_HOURS (default: 24), skipping hotels it already
+                        processed; hotel selection and fetch options come from that run.
+                        Starts a new run when there is nothing to resume
+  --schedule            Stay running and start the batch on SCHEDULE_CRON (default: 43 21 * * *);
+                        other options apply to every scheduled batch
+  -h, --help            Show this help
+`;
+
+/**
+ * Parse a non-negative integer option
+ * @param {string|undefined} value - Raw option value
+ * @param {string} optionName - Option name used in error messages
+ * @returns {number|null} Parsed integer or null when not provided
+ */
+function parseCount(value, optionName) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`--${optionName} must be a non-negative integer, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse command line arguments for index.js
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Object} Run options
+ * @throws {Error} When an option is unknown or has an invalid value
+ * @example
+ * const options = parseCliOptions(['--hotel', 'uuid-123', '--fields', 'amenities,policies', '--dry-run']);
+ * // { hotelUuid: 'uuid-123', fields: ['amenities', 'policies'], mode: 'full', dryRun: true, ... }
+ */
+export function parseCliOptions(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      hotel: { type: 'string' },
+      fields: { type: 'string' },
+      mode: { type: 'string' },
+      'skip-faq': { type: 'boolean', default: false },
+      'skip-crawl': { type: 'boolean', default: false },
+      'skip-translation': { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      limit: { type: 'string' },
+      offset: { type: 'string' },
+      concurrency: { type: 'string' },
+      provider: { type: 'string' },
+      worker: { type: 'boolean', default: false },
+      schedule: { type: 'boolean', default: false },
+      resume: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+    strict: true,
+  });
+
+  let fields = null;
+  if (values.fields !== undefined) {
+    const validFieldNames = new Set(MD_ALL_FIELDS.map(f => f.name));
+    fields = [...new Set(values.fields.split(',').map(f => f.trim()).filter(Boolean))];
+    const unknownFields = fields.filter(f => !validFieldNames.has(f));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+    if (fields.length === 0) {
+      throw new Error('--fields must list at least one field');
+    }
+  }
+
+  const mode = (values.mode ?? process.env.REFRESH_MODE ?? 'full').trim().toLowerCase();
+  if (!REFRESH_MODES.includes(mode)) {
+    throw new Error(`--mode must be one of ${REFRESH_MODES.join(', ')}, got "${mode}"`);
+  }
+
+  const concurrency = parseCount(values.concurrency ?? process.env.CONCURRENCY, 'concurrency') ?? 1;
+  if (concurrency < 1) {
+    throw new Error('--concurrency must be at least 1');
+  }
+
+  const provider = values.provider?.trim().toLowerCase() || null;
+  if (provider && !LLM_PROVIDERS[provider]) {
+    throw new Error(`--provider must be one of ${Object.keys(LLM_PROVIDERS).join(', ')}, got "${provider}"`);
+  }
+
+  // Jobs pick their hotel and fields, and a worker that writes nothing would drain the queue for nothing
+  if (values.worker) {
+    const batchOptions = ['hotel', 'fields', 'limit', 'offset', 'dry-run'].filter(name => values[name] !== undefined && values[name] !== false);
+    if (batchOptions.length > 0) {
+      throw new Error(`--worker cannot be combined with ${batchOptions.map(name => `--${name}`).join(', ')}`);
+    }
+  }
+  // A resumed run keeps the hotel selection it started with, and dry runs are never recorded
+  if (values.resume) {
+    const conflicting = ['hotel', 'fields', 'mode', 'limit', 'offset', 'dry-run', 'worker']
+      .filter(name => values[name] !== undefined && values[name] !== false);
+    if (conflicting.length > 0) {
+      throw new Error(`--resume cannot be combined with ${conflicting.map(name => `--${name}`).join(', ')}`);
+    }
+  }
+  if (values.schedule && (values.worker || values['dry-run'])) {
+    throw new Error(`--schedule cannot be combined with ${values.worker ? '--worker' : '--dry-run'}`);
+  }
+
+  return {
+    hotelUuid: values.hotel?.trim() || null,
+    fields,
+    mode,
+    skipFaq: values['skip-faq'],
+    skipCrawl: values['skip-crawl'],
+    skipTranslation: values['skip-translation'],
+    dryRun: values['dry-run'],
+    limit: parseCount(values.limit, 'limit'),
+    offset: parseCount(values.offset, 'offset') ?? 0,
+    concurrency,
+    provider,
+    worker: values.worker,
+    schedule: values.schedule,
+    resume: values.resume,
+    help: values.help,
+  };
+}
+
+// Print CLI usage to stdout
+export function printUsage() {
+  console.log(USAGE);
+}
+
+const REVIEW_USAGE = `Usage: node review.js <command> [options]
+
+Commands:
+  list                  List values waiting for review
+    --hotel <uuid>      Only values of one hotel
+    --limit <n>         Show at most n values (default: 100)
+  approve <id>          Write the value to market_data
+    --value <text>      Write this value instead of the fetched one (edit)
+  reject <id>           Discard the value, market_data keeps its stored value
+
+Options for approve and reject:
+  --by <name>           Reviewer name, stored with the decision
+  --note <text>         Note stored with the decision
+  -h, --help            Show this help
+`;
+
+const REVIEW_COMMANDS = ['list', 'approve', 'reject'];
+
+/**
+ * Parse command line arguments for review.js
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Object} { command, id, hotelUuid, limit, value, reviewedBy, note, help }
+ * @throws {Error} When the command, an option or the ID is invalid
+ * @example
+ * const options = parseReviewCliOptions(['approve', '42', '--value', '+15125550101', '--by', 'jane']);
+ * // { command: 'approve', id: 42, value: '+15125550101', reviewedBy: 'jane', ... }
+ */
+export function parseReviewCliOptions(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      hotel: { type: 'string' },
+      limit: { type: 'string' },
+      value: { type: 'string' },
+      by: { type: 'string' },
+      note: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+    allowPositionals: true,
+    strict: true,
+  });
+
+  const [command, rawId] = positionals;
+  if (values.help) {
+    return { command: command ?? null, help: true };
+  }
+  if (!REVIEW_COMMANDS.includes(command)) {
+    throw new Error(`Command must be one of ${REVIEW_COMMANDS.join(', ')}, got "${command ?? ''}"`);
+  }
+
+  let id = null;
+  if (command !== 'list') {
+    if (!/^\d+$/.test(rawId ?? '')) {
+      throw new Error(`${command} needs the numeric ID of a pending value`);
+    }
+    id = parseInt(rawId, 10);
+  }
+  if (values.value !== undefined && command !== 'approve') {
+    throw new Error('--value can only be used with approve');
+  }
+
+  return {
+    command,
+    id,
+    hotelUuid: values.hotel?.trim() || null,
+    limit: parseCount(values.limit, 'limit') ?? 100,
+    value: values.value,
+    reviewedBy: values.by?.trim() || process.env.USER || null,
+    note: values.note ?? null,
+    help: false,
+  };
+}
+
+// Print review CLI usage to stdout
+export function printReviewUsage() {
+  console.log(REVIEW_USAGE);
+}
+
+const MIGRATE_USAGE = `Usage: node migrate.js [options]
+
+Applies pending migrations (migrations/*.js), then adds or widens market_data columns
+so there is one for every field in middleware/constants.js.
+
+Options:
+  --status              Show pending migrations and column changes, change nothing
+  --dry-run             Print what would run, change nothing
+  -h, --help            Show this help
+`;
+
+/**
+ * Parse command line arguments for migrate.js
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Object} { status, dryRun, help }
+ * @throws {Error} When an option is unknown or options conflict
+ */
+export function parseMigrateCliOptions(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      status: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+    strict: true,
+  });
+
+  if (values.status && values['dry-run']) {
+    throw new Error('--status cannot be combined with --dry-run');
+  }
+
+  return {
+    status: values.status,
+    dryRun: values['dry-run'],
+    help: values.help,
+  };
+}
+
+// Print migrate CLI usage to stdout
+export function printMigrateUsage() {
+  console.log(MIGRATE_USAGE);
+}
+
+const EXPORT_USAGE = `Usage: node export.js --out <file> [options]
+
+Writes the market data and FAQs of active hotels as documents for the chatbot knowledge base.
+
+Options:
+  --out, -o <file>      File to write
+  --format <format>     ${EXPORT_FORMATS.join(', ')} (default: json)
+                        json: one document per hotel, csv: one row per hotel,
+                        markdown / jsonl: one chunk per category field and per FAQ
+  --since <time>        Only hotels whose market data or FAQs changed since this time
+                        (ISO 8601, e.g. 2025-06-01T00:00:00Z); the end of each export
+                        prints the value to pass next time
+  --hotel <uuid>        Only one hotel
+  -h, --help            Show this help
+`;
+
+/**
+ * Parse command line arguments for export.js
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Object} { out, format, since, hotelUuid, help }
+ * @throws {Error} When an option is unknown or has an invalid value
+ * @example
+ * const options = parseExportCliOptions(['--format', 'jsonl', '--since', '2025-06-01T00:00:00Z', '-o', 'kb.jsonl']);
+ * // { out: 'kb.jsonl', format: 'jsonl', since: Date(2025-06-01T00:00:00Z), hotelUuid: null, help: false }
+ */
+export function parseExportCliOptions(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      out: { type: 'string', short: 'o' },
+      format: { type: 'string', default: 'json' },
+      since: { type: 'string' },
+      hotel: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+    strict: true,
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  const format = values.format.trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${EXPORT_FORMATS.join(', ')}, got "${values.format}"`);
+  }
+  if (!values.out?.trim()) {
+    throw new Error('--out is required');
+  }
+
+  let since = null;
+  if (values.since !== undefined) {
+    since = new Date(values.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new Error(`--since must be a date/time such as 2025-06-01T00:00:00Z, got "${values.since}"`);
+    }
+  }
+
+  return {
+    out: values.out.trim(),
+    format,
+    since,
+    hotelUuid: values.hotel?.trim() || null,
+    help: false,
+  };
+}
+
+// Print export CLI usage to stdout
+export function printExportUsage() {
+  console.log(EXPORT_USAGE);
+}
@@ -1,5 +1,7 @@
 import mysql from 'mysql2/promise';
 import 'dotenv/config';
+import { AsyncLocalStorage } from 'async_hooks';
+import { logger } from '../utils/logger.js';
 
 const dbConfig = {
   host: process.env.DB_HOST || 'localhost',
@@ -22,11 +24,11 @@ const pool = mysql.createPool(dbConfig);
 export const testConnection = async () => {
   try {
     const connection = await pool.getConnection();
-    console.log('✅ Database connected successfully');
+    logger.info('✅ Database connected successfully');
     connection.release();
     return true;
   } catch (error) {
-    console.error('❌ Database connection failed:', error.message);
+    logger.error('❌ Database connection failed', { error: error.message });
     return false;
   }
 };
@@ -34,14 +36,73 @@ export const testConnection = async () => {
 // Get connection from pool
 export const getConnection = () => pool.getConnection();
 
+// Runs queries against the pool; tests swap in an in-memory database (see test/helpers/memoryDatabase.js)
+const runOnPool = async (query, params) => {
+  const [rows] = await pool.execute(query, params);
+  return rows;
+};
+let queryRunner = runOnPool;
+
+// Connection of the transaction the current async scope runs in (see withTransaction)
+const transactionStorage = new AsyncLocalStorage();
+
+/**
+ * Replace the function executeQuery sends queries to
+ * @param {Function|null} runner - async (query, params) => rows, null restores the MySQL pool
+ */
+export const setQueryRunner = (runner) => {
+  queryRunner = runner || runOnPool;
+};
+
 // Execute query with automatic connection management
+// Inside withTransaction the query runs on the transaction's connection
+// Queries are prepared statements, which reject LIMIT and OFFSET as bound parameters: inline them with parseInt
 export const executeQuery = async (query, params = []) => {
   try {
-    const [rows] = await pool.execute(query, params);
-    return rows;
+    const connection = transactionStorage.getStore();
+    if (connection) {
+      const [rows] = await connection.execute(query, params);
+      return rows;
+    }
+    return await queryRunner(query, params);
+  } catch (error) {
+    logger.error('Database query error', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Run fn in one transaction on a single connection
+ * Every executeQuery made by fn (and the services it calls) joins the transaction, which is committed
+ * when fn resolves and rolled back when it throws. Nested calls join the outer transaction.
+ * A runner swapped in with setQueryRunner has no transactions, fn then runs as is.
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} The error of fn, after the rollback
+ * @example
+ * await withTransaction(async () => {
+ *   await executeQuery('UPDATE ...', [...]);
+ *   await executeQuery('INSERT ...', [...]);
+ * });
+ */
+export const withTransaction = async (fn) => {
+  if (transactionStorage.getStore() || queryRunner !== runOnPool) {
+    return fn();
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await transactionStorage.run(connection, fn);
+    await connection.commit();
+    return result;
   } catch (error) {
-    console.error('Database query error:', error.message);
+    await connection.rollback().catch(rollbackError => {
+      logger.error('Error rolling back transaction', { error: rollbackError.message });
+    });
     throw error;
+  } finally {
+    connection.release();
   }
 };
 
@@ -49,9 +110,9 @@ export const executeQuery = async (query, params = []) => {
 export const closePool = async () => {
   try {
     await pool.end();
-    console.log('Database pool closed');
+    logger.info('Database pool closed');
   } catch (error) {
-    console.error('Error closing database pool:', error.message);
+    logger.error('Error closing database pool', { error: error.message });
   }
 };
 
@@ -0,0 +1,170 @@
+import 'dotenv/config';
+
+// Known LLM providers
+// type       - implementation used by getProvider (openai-compatible, anthropic or mock)
+// envPrefix  - settings are read from <envPrefix>_API_KEY, _MODEL, _BASE_URL, _MAX_TOKENS,
+//              _RATE_LIMIT_PER_MINUTE and _RATE_LIMIT_BURST
+// baseURL, model, apiKey - defaults when the environment does not set them
+// streamUsage - ask for token usage in the stream (stream_options.include_usage); Perplexity sends it unasked
+// citesSources - answers come with the URLs of a web search; other providers only cite crawled pages
+export const LLM_PROVIDERS = {
+  perplexity: { type: 'openai', envPrefix: 'PERPLEXITY', baseURL: 'https://api.perplexity.ai', model: 'sonar-pro', citesSources: true },
+  openai: { type: 'openai', envPrefix: 'OPENAI', baseURL: 'https://api.openai.com/v1', model: 'gpt-4o', streamUsage: true },
+  anthropic: { type: 'anthropic', envPrefix: 'ANTHROPIC', baseURL: 'https://api.anthropic.com', model: 'claude-3-5-sonnet-latest' },
+  // Any OpenAI-compatible local server, e.g. Ollama (default URL) or llama.cpp server
+  local: { type: 'openai', envPrefix: 'LOCAL_LLM', baseURL: 'http://localhost:11434/v1', model: 'llama3.1', apiKey: 'local', streamUsage: true },
+  // Offline provider returning canned responses, used for tests and pipeline checks
+  mock: { type: 'mock', envPrefix: 'MOCK_LLM', model: 'mock' },
+};
+
+// Field groups that can be routed to different providers
+// primary  - MD_PR_FIELDS, env LLM_PROVIDER_PRIMARY
+// category - MD_CAT_FIELDS, env LLM_PROVIDER_CATEGORY
+// faq      - FAQ fetching, env LLM_PROVIDER_FAQ
+// translation - translating category fields and FAQs (TRANSLATION_LOCALES), env LLM_PROVIDER_TRANSLATION;
+//               no web search needed, so a cheaper provider can be used
+export const LLM_FIELD_GROUPS = ['primary', 'category', 'faq', 'translation'];
+
+// Default max tokens per task, overridable with LLM_MAX_TOKENS_DATA / LLM_MAX_TOKENS_FAQ / LLM_MAX_TOKENS_TRANSLATION
+const DEFAULT_MAX_TOKENS = {
+  market_data: 1024 * 10 * 4,
+  faq: 1024 * 10 * 8,
+  translation: 1024 * 10 * 8,
+};
+
+const MAX_TOKENS_ENV = {
+  market_data: 'LLM_MAX_TOKENS_DATA',
+  faq: 'LLM_MAX_TOKENS_FAQ',
+  translation: 'LLM_MAX_TOKENS_TRANSLATION',
+};
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value ?? '', 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Resolve settings of a provider from LLM_PROVIDERS and the environment
+ * @param {string} name - Provider name, a key of LLM_PROVIDERS
+ * @returns {Object} { name, type, apiKey, baseURL, model, maxTokens, streamUsage, citesSources, rateLimitPerMinute, rateLimitBurst }
+ * @throws {Error} When the provider is unknown
+ */
+export function getProviderConfig(name) {
+  const definition = LLM_PROVIDERS[name];
+  if (!definition) {
+    throw new Error(`Unknown LLM provider "${name}". Known providers: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  const env = (key) => process.env[`${definition.envPrefix}_${key}`];
+
+  return {
+    name,
+    type: definition.type,
+    apiKey: env('API_KEY') || definition.apiKey,
+    baseURL: env('BASE_URL') || definition.baseURL,
+    model: env('MODEL') || definition.model,
+    // Provider-level cap on max tokens, null means the task default is used as is
+    maxTokens: readInt(env('MAX_TOKENS'), null),
+    streamUsage: Boolean(definition.streamUsage),
+    citesSources: Boolean(definition.citesSources),
+    rateLimitPerMinute: readInt(env('RATE_LIMIT_PER_MINUTE') ?? process.env.AI_RATE_LIMIT_PER_MINUTE, 20),
+    rateLimitBurst: readInt(env('RATE_LIMIT_BURST') ?? process.env.AI_RATE_LIMIT_BURST, 3),
+  };
+}
+
+/**
+ * Get max tokens for a task, capped by the provider setting
+ * @param {string} task - 'market_data', 'faq' or 'translation'
+ * @param {Object} providerConfig - Result of getProviderConfig
+ * @returns {number}
+ */
+export function getMaxTokens(task, providerConfig) {
+  const envKey = MAX_TOKENS_ENV[task] ?? MAX_TOKENS_ENV.market_data;
+  const taskMaxTokens = readInt(process.env[envKey], DEFAULT_MAX_TOKENS[task] ?? DEFAULT_MAX_TOKENS.market_data);
+  return providerConfig.maxTokens ? Math.min(taskMaxTokens, providerConfig.maxTokens) : taskMaxTokens;
+}
+
+/**
+ * Get provider names to try for a field group, in order
+ * Priority for the first provider: run override (--provider) > LLM_PROVIDER_<GROUP> > LLM_PROVIDER > perplexity.
+ * LLM_FALLBACK_PROVIDER (if set and different) is appended as the second provider.
+ * @param {string} group - One of LLM_FIELD_GROUPS
+ * @param {string|null} runProvider - Provider chosen for this run, overrides the group setting
+ * @returns {Array<string>} Provider names
+ */
+export function getProviderChain(group, runProvider = null) {
+  const primary = runProvider
+    || process.env[`LLM_PROVIDER_${group.toUpperCase()}`]
+    || process.env.LLM_PROVIDER
+    || 'perplexity';
+  const fallback = process.env.LLM_FALLBACK_PROVIDER;
+
+  return fallback && fallback !== primary ? [primary, fallback] : [primary];
+}
+
+// Prices used to estimate the cost of AI calls, in USD:
+// input / output per million tokens, requests per thousand calls (Perplexity's search fee, low context size)
+// LLM_PRICES overrides or adds models, e.g. "sonar-pro=3/15/6,my-model=0.5/1.5"
+export const MODEL_PRICES = {
+  'sonar': { input: 1, output: 1, requests: 5 },
+  'sonar-pro': { input: 3, output: 15, requests: 6 },
+  'sonar-reasoning': { input: 1, output: 5, requests: 5 },
+  'sonar-reasoning-pro': { input: 2, output: 8, requests: 6 },
+  'gpt-4o': { input: 2.5, output: 10, requests: 0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, requests: 0 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15, requests: 0 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4, requests: 0 },
+  'llama3.1': { input: 0, output: 0, requests: 0 },
+  'mock': { input: 0, output: 0, requests: 0 },
+};
+
+/**
+ * Parse LLM_PRICES overrides, e.g. "sonar-pro=3/15/6,gpt-4o=2.5/10"
+ * @param {string} rawValue - Raw environment value
+ * @returns {Object} Model => { input, output, requests }
+ * @throws {Error} When an entry is not "model=input/output[/requests]" with non-negative numbers
+ */
+export function parsePriceOverrides(rawValue = process.env.LLM_PRICES || '') {
+  const overrides = {};
+
+  rawValue.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    // Split on the last "=", model names may contain other characters
+    const separatorIndex = entry.lastIndexOf('=');
+    const model = entry.slice(0, separatorIndex).trim();
+    const prices = entry.slice(separatorIndex + 1).split('/').map(price => price.trim());
+    if (separatorIndex < 1 || prices.length < 2 || prices.length > 3 || !prices.every(price => /^\d+(\.\d+)?$/.test(price))) {
+      throw new Error(`LLM_PRICES has an invalid entry "${entry}" (expected model=input/output[/requests], e.g. sonar-pro=3/15/6)`);
+    }
+    const [input, output, requests = 0] = prices.map(Number);
+    overrides[model] = { input, output, requests };
+  });
+
+  return overrides;
+}
+
+// LLM_PRICES as last parsed, so pricing a call does not parse it again (tests change it between cases)
+let cachedOverrides = { rawValue: null, overrides: {} };
+
+/**
+ * Get the LLM_PRICES overrides, parsed on first use and again only when the variable changes
+ * index.js calls it at startup, so an invalid entry stops the start instead of the first AI call.
+ * @returns {Object} Model => { input, output, requests }
+ * @throws {Error} When LLM_PRICES has an invalid entry, see parsePriceOverrides
+ */
+export function getPriceOverrides() {
+  const rawValue = process.env.LLM_PRICES || '';
+  if (cachedOverrides.rawValue !== rawValue) {
+    cachedOverrides = { rawValue, overrides: parsePriceOverrides(rawValue) };
+  }
+  return cachedOverrides.overrides;
+}
+
+/**
+ * Get the prices of a model
+ * Priority: LLM_PRICES override > MODEL_PRICES
+ * @param {string} model - Model name as reported by the provider
+ * @returns {{input: number, output: number, requests: number}|null} null when the model has no known price
+ */
+export function getModelPrice(model) {
+  return getPriceOverrides()[model] ?? MODEL_PRICES[model] ?? null;
+}
@@ -0,0 +1,82 @@
+import 'dotenv/config';
+import { createWriteStream } from 'fs';
+import { rename, unlink } from 'fs/promises';
+import { once } from 'events';
+import { testConnection, closePool } from './config/database.js';
+import { MigrationService } from './services/migrationService.js';
+import { ExportService } from './services/exportService.js';
+import { parseExportCliOptions, printExportUsage } from './config/cli.js';
+import { logger } from './utils/logger.js';
+
+/**
+ * Export to a temporary file renamed over the output at the end, so readers never see a partial export
+ * @param {Object} options - Result of parseExportCliOptions
+ * @returns {Promise<number>} Number of hotels exported
+ */
+async function exportToFile(options) {
+  const tempPath = `${options.out}.tmp`;
+  const stream = createWriteStream(tempPath, { encoding: 'utf8' });
+  const write = async (text) => {
+    if (!stream.write(text)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  try {
+    const count = await ExportService.exportHotels(options, write);
+    stream.end();
+    await once(stream, 'finish');
+    await rename(tempPath, options.out);
+    return count;
+  } catch (error) {
+    stream.destroy();
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseExportCliOptions();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    printExportUsage();
+    process.exit(1);
+  }
+
+  if (options.help) {
+    printExportUsage();
+    return;
+  }
+
+  const isConnected = await testConnection();
+  if (!isConnected) {
+    logger.error("❌ Cannot proceed without database connection");
+    process.exit(1);
+  }
+
+  try {
+    await MigrationService.assertSchemaReady();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    await closePool();
+    process.exit(1);
+  }
+
+  // Changes made while the export runs are picked up by the next incremental export
+  const startedAt = new Date();
+  try {
+    logger.info(`📤 Exporting ${options.since ? `hotels changed since ${options.since.toISOString()}` : 'all hotels'} as ${options.format}...`);
+    const count = await exportToFile(options);
+    logger.info(`✅ Exported ${count} hotel(s) to ${options.out}`);
+    logger.info(`🕒 Next incremental export: --since ${startedAt.toISOString()}`);
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,46 @@
+import 'dotenv/config';
+import { createHash, timingSafeEqual } from 'crypto';
+
+// API keys are configured as a comma separated list in API_KEYS
+
+/**
+ * Get the configured API keys
+ * @returns {Array<string>}
+ */
+export const getApiKeys = () => (process.env.API_KEYS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+
+// Compare digests so the comparison time does not depend on the key
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * Read the API key of a request from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null}
+ */
+export const getRequestApiKey = (req) => {
+  const authorization = req.headers.authorization || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    return bearer[1].trim();
+  }
+  return req.headers['x-api-key']?.trim() || null;
+};
+
+/**
+ * Check if a request carries one of the configured API keys
+ * @param {http.IncomingMessage} req - Request
+ * @param {Array<string>} apiKeys - Valid keys, defaults to getApiKeys()
+ * @returns {boolean}
+ */
+export const isAuthorized = (req, apiKeys = getApiKeys()) => {
+  const key = getRequestApiKey(req);
+  if (!key) {
+    return false;
+  }
+
+  const keyDigest = digest(key);
+  return apiKeys.some(validKey => timingSafeEqual(keyDigest, digest(validKey)));
+};
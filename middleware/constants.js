@@ -1,16 +1,19 @@
 // Centralized field definitions for market_data
 // Only stable identifiers are id and hotel_uuid; others are defined here
+// max_age_days (optional) - how long a stored value stays fresh in incremental refresh mode
+// type (optional) - validator applied before saving: email, phone, phone_list, zipcode, location, text (default)
+// max_length (optional) - longer values are rejected; category fields default to CATEGORY_TEXT_MAX_LENGTH
 
 // Primary/Principal fields (basic fields)
 export const MD_PR_FIELDS = [
-	{ name: 'name', capture_description: 'hotel name' },
-	{ name: 'city_state_country', capture_description: 'city, state, country' },
-	{ name: 'address', capture_description: 'street address' },
-	{ name: 'zipcode', capture_description: 'zipcode or postal code' },
-	{ name: 'description', capture_description: 'hotel description' },
-	{ name: 'email', capture_description: 'contact email' },
-	{ name: 'main_phone', capture_description: 'main phone number' },
-	{ name: 'other_phones', capture_description: 'All phone numbers with descriptions. e.g: "Front Desk: (123) 456-7890"' },
+	{ name: 'name', capture_description: 'hotel name', max_age_days: 180, max_length: 255 },
+	{ name: 'city_state_country', capture_description: 'city, state, country', max_age_days: 180, type: 'location', max_length: 255 },
+	{ name: 'address', capture_description: 'street address', max_age_days: 180, max_length: 255 },
+	{ name: 'zipcode', capture_description: 'zipcode or postal code', max_age_days: 180, type: 'zipcode', max_length: 20 },
+	{ name: 'description', capture_description: 'hotel description', max_length: 5000 },
+	{ name: 'email', capture_description: 'contact email', max_age_days: 90, type: 'email', max_length: 255 },
+	{ name: 'main_phone', capture_description: 'main phone number', max_age_days: 90, type: 'phone', max_length: 50 },
+	{ name: 'other_phones', capture_description: 'All phone numbers with descriptions. e.g: "Front Desk: (123) 456-7890"', max_age_days: 90, type: 'phone_list', max_length: 2000 },
 ];
 
 // Category text fields (16 categories)
@@ -27,7 +30,7 @@ export const MD_CAT_FIELDS = [
 	{ name: 'meeting_events', capture_description: 'Meeting & events - Spaces, services, and resources for hosting meetings, conferences, banquets, weddings, and social gatherings' },
 	{ name: 'on_property_convenience', capture_description: 'On property convenience - Practical, guest-facing services that make the stay more seamless, accessible, and comfortable' },
 	{ name: 'parking_transportation', capture_description: 'Parking & transportation - Services, instructions, and logistics related to guest vehicles, access to the property, and travel options to and from the hotel' },
-	{ name: 'policies', capture_description: 'Policies - Formal set of guidelines, rules, or procedures' },
+	{ name: 'policies', capture_description: 'Policies - Formal set of guidelines, rules, or procedures', max_age_days: 30 },
 	{ name: 'recreation_fitness', capture_description: 'Recreation & fitness - Facilities, activities, and services that support leisure, wellness, and physical activity' },
 	{ name: 'safety_security', capture_description: 'Safety & Security - Emergency procedures (fire exits, severe weather protocols, Safe deposit boxes or in-room safes, Security staff or surveillance)' },
 	{ name: 'technology_business_services', capture_description: 'Technology / Business Services - Business center computers, printing, fax, and copying, Wi-Fi details, Public computer access' },
@@ -36,5 +39,28 @@ export const MD_CAT_FIELDS = [
 // All fields - merge of primary and category fields
 export const MD_ALL_FIELDS = [...MD_PR_FIELDS, ...MD_CAT_FIELDS];
 
+// Max length of category text fields without their own max_length
+export const CATEGORY_TEXT_MAX_LENGTH = 10000;
+
+// Values meaning "no information", normalized to null before saving (compared lowercase)
+export const PLACEHOLDER_VALUES = ['n/a', 'na', 'not available', 'unknown', '-', '--', 'none', 'null', 'not found', 'tbd'];
+
+// Max age for fields without their own max_age_days (overridable with DEFAULT_FIELD_MAX_AGE_DAYS)
+export const DEFAULT_FIELD_MAX_AGE_DAYS = 60;
+
+// Refresh modes: full re-fetches every field, incremental only empty or stale ones
+export const REFRESH_MODES = ['full', 'incremental'];
+
+// Review modes: which fetched values wait for a reviewer instead of being written to market_data
+// low_confidence: only values below CONFIDENCE_THRESHOLD
+// changed: also values that replace a different stored value
+// all (default): also values for fields that are empty in the stored row (including new hotels)
+export const REVIEW_MODES = ['low_confidence', 'changed', 'all'];
+
+// Export formats (node export.js --format)
+// json: one document per hotel, csv: one row per hotel with a column per field,
+// markdown / jsonl: knowledge chunks (overview, one per category field, one per FAQ)
+export const EXPORT_FORMATS = ['json', 'csv', 'markdown', 'jsonl'];
+
 // Boolean fields - none in simplified structure
 export const BOOLEAN_FIELDS = [];
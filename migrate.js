@@ -0,0 +1,69 @@
+import 'dotenv/config';
+import { testConnection, closePool } from './config/database.js';
+import { MigrationService } from './services/migrationService.js';
+import { parseMigrateCliOptions, printMigrateUsage } from './config/cli.js';
+import { logger } from './utils/logger.js';
+
+/**
+ * Print pending migrations and market_data column changes
+ * @param {Object} schema - Result of MigrationService.checkSchema
+ */
+function printSchemaStatus({ pending, diff, ready }) {
+  if (ready) {
+    logger.info("✅ Database schema is up to date");
+    return;
+  }
+
+  pending.forEach(({ file }) => logger.info(`⏳ Pending migration: ${file}`));
+  if (!diff.tableExists) {
+    logger.info("⏳ market_data does not exist yet, it is created by the pending migrations");
+  }
+  diff.missing.forEach(({ name, definition }) => logger.info(`➕ Missing column: ${name} ${definition}`));
+  diff.tooShort.forEach(({ name, definition }) => logger.info(`↔️  Column too short: ${name}, needs ${definition}`));
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseMigrateCliOptions();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    printMigrateUsage();
+    process.exit(1);
+  }
+
+  if (options.help) {
+    printMigrateUsage();
+    return;
+  }
+
+  const isConnected = await testConnection();
+  if (!isConnected) {
+    logger.error("❌ Cannot proceed without database connection");
+    process.exit(1);
+  }
+
+  try {
+    if (options.status) {
+      printSchemaStatus(await MigrationService.checkSchema());
+      return;
+    }
+
+    if (options.dryRun) {
+      logger.info("📝 Dry run enabled - nothing will be written to the database");
+    }
+    const { applied, statements } = await MigrationService.migrate({ dryRun: options.dryRun });
+    if (applied.length === 0 && statements.length === 0) {
+      logger.info("✅ Database schema is up to date");
+    } else if (!options.dryRun) {
+      logger.info(`✅ Applied ${applied.length} migration(s) and ${statements.length} column change(s)`);
+    }
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,193 @@
+import { TABLES } from './tables.js';
+
+// Tables the services expect. Existing installs keep their tables (IF NOT EXISTS).
+// market_data only gets its base columns here: field columns follow MD_ALL_FIELDS and are added
+// by the schema sync of migrate.js, so adding a field to constants.js needs no new migration.
+
+export const description = 'Create the tables used by the services';
+
+const STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS ${TABLES.hotels} (
+    id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    website VARCHAR(512) NULL,
+    city VARCHAR(255) NULL,
+    address VARCHAR(512) NULL,
+    is_deleted TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_hotel_uuid (hotel_uuid)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.marketData} (
+    id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    is_deleted TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_hotel_uuid (hotel_uuid)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.history} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    market_data_id INT UNSIGNED NOT NULL,
+    field_name VARCHAR(64) NOT NULL,
+    old_value TEXT NULL,
+    new_value TEXT NULL,
+    run_id CHAR(36) NULL,
+    changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_hotel_field (hotel_uuid, field_name, changed_at),
+    KEY idx_run (run_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.provenance} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    market_data_id INT UNSIGNED NOT NULL,
+    field_name VARCHAR(64) NOT NULL,
+    source_urls JSON NULL,
+    provider VARCHAR(64) NULL,
+    model VARCHAR(128) NULL,
+    attempt INT NULL,
+    confidence DECIMAL(3,2) NULL,
+    fetched_at DATETIME NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_market_data_field (market_data_id, field_name)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.fieldLocks} (
+    id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    field_name VARCHAR(64) NOT NULL,
+    locked_by VARCHAR(255) NULL,
+    reason TEXT NULL,
+    is_deleted TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_hotel_field (hotel_uuid, field_name)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.fieldStatus} (
+    hotel_uuid VARCHAR(64) NOT NULL,
+    field_name VARCHAR(64) NOT NULL,
+    last_updated_at DATETIME NOT NULL,
+    PRIMARY KEY (hotel_uuid, field_name)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.pendingValues} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    field_name VARCHAR(64) NOT NULL,
+    value TEXT NULL,
+    old_value TEXT NULL,
+    reason VARCHAR(32) NOT NULL,
+    confidence DECIMAL(3,2) NULL,
+    source_urls JSON NULL,
+    provider VARCHAR(64) NULL,
+    model VARCHAR(128) NULL,
+    run_id CHAR(36) NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'needs_review',
+    applied_value TEXT NULL,
+    reviewed_by VARCHAR(255) NULL,
+    review_note TEXT NULL,
+    reviewed_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_status_created (status, created_at),
+    KEY idx_hotel_field_status (hotel_uuid, field_name, status)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.faqs} (
+    id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    question_hash CHAR(40) NOT NULL,
+    is_deleted TINYINT(1) NOT NULL DEFAULT 0,
+    first_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_hotel_question (hotel_uuid, question_hash)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.runs} (
+    id CHAR(36) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    options JSON NULL,
+    error TEXT NULL,
+    hotel_count INT NOT NULL DEFAULT 0,
+    success_count INT NOT NULL DEFAULT 0,
+    partial_count INT NOT NULL DEFAULT 0,
+    failed_count INT NOT NULL DEFAULT 0,
+    prompt_tokens BIGINT NOT NULL DEFAULT 0,
+    completion_tokens BIGINT NOT NULL DEFAULT 0,
+    total_tokens BIGINT NOT NULL DEFAULT 0,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME NULL,
+    PRIMARY KEY (id),
+    KEY idx_started (started_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS ${TABLES.runItems} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    run_id CHAR(36) NOT NULL,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    hotel_name VARCHAR(255) NULL,
+    status VARCHAR(20) NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    fields_filled JSON NULL,
+    fields_empty JSON NULL,
+    errors JSON NULL,
+    duration_ms INT NOT NULL DEFAULT 0,
+    llm_calls INT NOT NULL DEFAULT 0,
+    prompt_tokens INT NOT NULL DEFAULT 0,
+    completion_tokens INT NOT NULL DEFAULT 0,
+    total_tokens INT NOT NULL DEFAULT 0,
+    finished_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_run_hotel (run_id, hotel_uuid)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  // queued_hotel_uuid is only set while a job is queued; its unique key coalesces refresh requests
+  `CREATE TABLE IF NOT EXISTS ${TABLES.refreshJobs} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    fields JSON NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    requested_by VARCHAR(255) NULL,
+    coalesced_count INT NOT NULL DEFAULT 0,
+    claim_token CHAR(36) NULL,
+    worker_id VARCHAR(255) NULL,
+    run_id CHAR(36) NULL,
+    result JSON NULL,
+    error TEXT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    started_at DATETIME NULL,
+    finished_at DATETIME NULL,
+    queued_hotel_uuid VARCHAR(64) GENERATED ALWAYS AS (IF(status = 'queued', hotel_uuid, NULL)) STORED,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_queued_hotel (queued_hotel_uuid),
+    KEY idx_status (status, id),
+    KEY idx_claim_token (claim_token)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+];
+
+/**
+ * Apply the migration
+ * @param {Function} executeQuery - executeQuery from config/database.js
+ * @returns {Promise<void>}
+ */
+export async function up(executeQuery) {
+  for (const statement of STATEMENTS) {
+    await executeQuery(statement);
+  }
+}
@@ -0,0 +1,32 @@
+import { TABLES } from './tables.js';
+
+// Translations of category fields and FAQ pairs (TRANSLATION_LOCALES).
+// field_name is the market_data field, or "faq:<question_hash>" for an FAQ pair whose translated
+// question goes to question and answer to value. source_hash is the SHA-1 of the English source,
+// a translation is redone only when it changes.
+
+export const description = 'Create the market data translations table';
+
+/**
+ * Apply the migration
+ * @param {Function} executeQuery - executeQuery from config/database.js
+ * @returns {Promise<void>}
+ */
+export async function up(executeQuery) {
+  await executeQuery(`CREATE TABLE IF NOT EXISTS ${TABLES.translations} (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    hotel_uuid VARCHAR(64) NOT NULL,
+    field_name VARCHAR(80) NOT NULL,
+    locale VARCHAR(16) NOT NULL,
+    source_hash CHAR(40) NOT NULL,
+    question TEXT NULL,
+    value TEXT NOT NULL,
+    provider VARCHAR(64) NULL,
+    model VARCHAR(128) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_hotel_field_locale (hotel_uuid, field_name, locale),
+    KEY idx_locale_updated (locale, updated_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+}
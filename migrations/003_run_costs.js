@@ -0,0 +1,18 @@
+import { TABLES } from './tables.js';
+
+// Estimated cost of the AI calls (utils/usage.js) per hotel of a run and per run.
+// Rows recorded before this migration keep a cost of 0.
+
+export const description = 'Add estimated AI cost to runs and run items';
+
+/**
+ * Apply the migration
+ * @param {Function} executeQuery - executeQuery from config/database.js
+ * @returns {Promise<void>}
+ */
+export async function up(executeQuery) {
+  await executeQuery(`ALTER TABLE ${TABLES.runItems}
+    ADD COLUMN cost_usd DECIMAL(12, 6) NOT NULL DEFAULT 0 AFTER total_tokens`);
+  await executeQuery(`ALTER TABLE ${TABLES.runs}
+    ADD COLUMN cost_usd DECIMAL(12, 6) NOT NULL DEFAULT 0 AFTER total_tokens`);
+}
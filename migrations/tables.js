@@ -0,0 +1,17 @@
+import 'dotenv/config';
+
+// Table names used by migrations, read from the same environment variables (and defaults) as the services
+export const TABLES = {
+  hotels: 'hotel_list',
+  marketData: process.env.MARKET_DATA_TABLE || 'market_data',
+  history: process.env.HISTORY_TABLE || 'market_data_history',
+  provenance: process.env.PROVENANCE_TABLE || 'market_data_provenance',
+  fieldLocks: process.env.FIELD_LOCK_TABLE || 'market_data_field_locks',
+  fieldStatus: process.env.FIELD_STATUS_TABLE || 'market_data_field_status',
+  pendingValues: process.env.PENDING_VALUES_TABLE || 'market_data_pending_values',
+  faqs: process.env.FAQ_TABLE || 'hotel_faq',
+  runs: process.env.RUNS_TABLE || 'scrape_runs',
+  runItems: process.env.RUN_ITEMS_TABLE || 'scrape_run_items',
+  refreshJobs: process.env.REFRESH_JOBS_TABLE || 'refresh_jobs',
+  translations: process.env.TRANSLATIONS_TABLE || 'market_data_translations',
+};
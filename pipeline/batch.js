@@ -0,0 +1,166 @@
+import 'dotenv/config';
+import { HotelService } from '../services/hotelService.js';
+import { RunService } from '../services/runService.js';
+import { LockService } from '../services/lockService.js';
+import { processHotel } from './hotelPipeline.js';
+import { runWithConcurrency } from '../utils/workerPool.js';
+import { CostBudget, getBudgetLimit } from '../utils/budget.js';
+import { formatCost } from '../utils/usage.js';
+import { logger } from '../utils/logger.js';
+
+// One batch run over the hotels selected by the CLI options, used by index.js and the scheduler
+
+// MySQL named lock held by every batch run (single runs and the scheduler), so runs never overlap
+const BATCH_LOCK_NAME = process.env.BATCH_LOCK_NAME || 'vaia_market_data_batch';
+
+// Options that select the hotels and what is fetched; a resumed run keeps the ones it started with
+const RESUMED_OPTIONS = ['hotelUuid', 'fields', 'mode', 'skipFaq', 'skipCrawl', 'skipTranslation', 'limit', 'offset'];
+
+/**
+ * Load the hotels selected by the run options
+ * @param {Object} options - Run options from parseCliOptions
+ * @returns {Promise<Array<Object>>} Hotels to process
+ */
+export async function getHotelsToProcess(options) {
+  if (options.hotelUuid) {
+    const hotel = await HotelService.getHotelByUuid(options.hotelUuid);
+    if (!hotel) {
+      logger.info(`📭 No active hotel found with UUID ${options.hotelUuid}`);
+      return [];
+    }
+    return [hotel];
+  }
+
+  const hotels = await HotelService.getActiveHotels({ limit: options.limit, offset: options.offset });
+  logger.info(`📋 Found ${hotels.length} active hotels to process`);
+  return hotels;
+}
+
+/**
+ * Run fn while holding the batch lock
+ * Every batch entry point goes through this, so a run that is still "running" while the caller holds the lock
+ * belongs to a process that died and can be resumed.
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn, null without calling fn when another process holds the lock
+ * @throws {Error} When the database is unreachable, or the error of fn
+ * @example
+ * const status = await withBatchLock(() => runBatch(runOptions, signal));
+ */
+export async function withBatchLock(fn) {
+  const release = await LockService.acquire(BATCH_LOCK_NAME);
+  if (!release) {
+    return null;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Get the options to resume the latest unfinished run (--resume), call it while holding the batch lock
+ * The resumed run keeps its ID and hotel selection; concurrency and provider come from the current options.
+ * @param {Object} options - Run options from parseCliOptions
+ * @param {Object} filter - Optional: { scheduled } only resumes runs started by the scheduler
+ * @returns {Promise<Object|null>} Options for runBatch, null when no run started within RESUME_WINDOW_HOURS is unfinished
+ */
+export async function getResumeOptions(options, { scheduled = false } = {}) {
+  const windowHours = parseFloat(process.env.RESUME_WINDOW_HOURS || '24');
+  const run = await RunService.getResumableRun({ windowHours, scheduled, lockHeld: true });
+  if (!run) {
+    return null;
+  }
+
+  const storedOptions = Object.fromEntries(
+    RESUMED_OPTIONS.filter(name => name in run.options).map(name => [name, run.options[name]])
+  );
+  return { ...options, ...storedOptions, runId: run.id, resumed: true };
+}
+
+/**
+ * Run a batch and track it as a run (except on dry runs), call it while holding the batch lock (see withBatchLock)
+ * When the signal aborts or RUN_BUDGET_USD is used up, hotels in progress finish and no new hotel starts;
+ * the run is then recorded as interrupted.
+ * @param {Object} options - Run options from parseCliOptions, with options.runId set
+ *   (options.resumed continues that run and skips the hotels it already recorded, see getResumeOptions)
+ * @param {AbortSignal|null} signal - Shutdown signal
+ * @returns {Promise<string>} Run status: completed, failed or interrupted
+ */
+export async function runBatch(options, signal = null) {
+  // Run tracking is skipped on dry runs, which must not write to the database
+  const trackRun = !options.dryRun;
+  let runStatus = 'completed';
+  let runError = null;
+  const runBudget = new CostBudget({ label: 'Run', limitUsd: getBudgetLimit('RUN_BUDGET_USD') });
+
+  try {
+    if (trackRun && options.resumed) {
+      await RunService.reopenRun(options.runId);
+    } else if (trackRun) {
+      const { runId, ...runOptions } = options;
+      await RunService.createRun(runId, runOptions);
+    }
+
+    // Get hotels selected by the CLI options (all active hotels by default)
+    let hotels = await getHotelsToProcess(options);
+
+    // Hotels are recorded once finished, so a hotel cut off by a crash is processed again
+    if (options.resumed) {
+      const processed = await RunService.getProcessedHotelUuids(options.runId);
+      hotels = hotels.filter(hotel => !processed.has(hotel.hotel_uuid));
+      runBudget.add({ cost_usd: await RunService.getRunCost(options.runId) });
+      logger.info(`⏩ Resuming run ${options.runId}: ${processed.size} hotel(s) already processed, ${hotels.length} left`);
+    }
+
+    if (hotels.length === 0) {
+      logger.info(options.resumed ? "✅ Every hotel of this run was already processed" : "📭 No active hotels found in database");
+      return runStatus;
+    }
+
+    const concurrency = Math.min(options.concurrency, hotels.length);
+    logger.info(`\n🏨 Processing ${hotels.length} hotels with ${concurrency} worker(s)...\n`);
+
+    // Process hotels through a bounded worker pool. AI calls share one rate limiter,
+    // so there is no fixed delay between hotels.
+    // Every line logged while processing a hotel carries its hotel_uuid
+    let startedCount = 0;
+    await runWithConcurrency(hotels, concurrency, (hotel, i) => logger.runWithContext({ hotel_uuid: hotel.hotel_uuid }, async () => {
+      // Hotels not started once the run budget is used up are skipped; --resume with a higher budget picks them up
+      if (runBudget.isExceeded()) {
+        return;
+      }
+      logger.divider();
+      logger.info(`🏨 Processing Hotel ${i + 1}/${hotels.length}: ${hotel.name}`);
+      logger.divider();
+
+      startedCount++;
+      await processHotel(hotel, options, { trackRun, runBudget });
+    }), { signal });
+
+    if (startedCount < hotels.length && runBudget.isExceeded()) {
+      runStatus = 'interrupted';
+      runError = `${runBudget.getExceededMessage()} after ${startedCount}/${hotels.length} hotels`;
+      logger.warn(`💰 ${runError}, remaining hotels were not processed`);
+    } else if (startedCount < hotels.length) {
+      runStatus = 'interrupted';
+      logger.warn(`🛑 Run interrupted after ${startedCount}/${hotels.length} hotels, hotels in progress were finished`);
+    } else {
+      logger.info("\n🎉 Hotel data fetching completed!");
+    }
+    logger.info(`💰 Estimated AI cost: ${formatCost(runBudget.spentUsd)}${runBudget.limitUsd !== null ? ` of ${formatCost(runBudget.limitUsd)} budget` : ''}`);
+
+  } catch (error) {
+    logger.error("❌ Fatal error", { error: error.message });
+    runStatus = 'failed';
+    runError = error.message;
+  } finally {
+    if (trackRun) {
+      await RunService.finishRun(options.runId, runStatus, runError)
+        .catch(error => logger.warn('⚠️  Could not finish run', { error: error.message }));
+    }
+  }
+
+  return runStatus;
+}
@@ -0,0 +1,507 @@
+import 'dotenv/config';
+import { MarketDataService } from '../services/marketDataService.js';
+import { AIService } from '../services/aiService.js';
+import { FAQService } from '../services/faqService.js';
+import { FieldRefreshService } from '../services/fieldRefreshService.js';
+import { ProvenanceService } from '../services/provenanceService.js';
+import { ValidationService } from '../services/validationService.js';
+import { FieldLockService } from '../services/fieldLockService.js';
+import { IdentityService } from '../services/identityService.js';
+import { CrawlerService } from '../services/crawlerService.js';
+import { SchemaOrgService } from '../services/schemaOrgService.js';
+import { ConfidenceService } from '../services/confidenceService.js';
+import { PendingValueService } from '../services/pendingValueService.js';
+import { RunService } from '../services/runService.js';
+import { TranslationService } from '../services/translationService.js';
+import { MD_ALL_FIELDS } from '../middleware/constants.js';
+import { sleep, getBackoffDelay } from '../utils/backoff.js';
+import { summarizeUsage, formatCost } from '../utils/usage.js';
+import { CostBudget, getBudgetLimit } from '../utils/budget.js';
+import { logger } from '../utils/logger.js';
+
+// The per-hotel pipeline: crawl, fetch with retries, score, review gate, save.
+// Shared by the batch run (index.js) and the refresh job worker (pipeline/worker.js).
+
+/**
+ * Process hotel with retry logic to fill all fields
+ * @param {Object} hotel - Hotel object from database
+ * @param {Object} options - Run options from parseCliOptions
+ * @param {Array<string>|null} options.fields - Fields to fetch (null means all fields)
+ * @param {string} options.mode - 'full' fetches every field, 'incremental' only empty or stale ones
+ * @param {boolean} options.dryRun - Print the merged record instead of saving it
+ * @param {boolean} options.skipFaq - Do not fetch FAQs
+ * @param {boolean} options.skipCrawl - Do not crawl the hotel website
+ * @param {boolean} options.skipTranslation - Do not translate into TRANSLATION_LOCALES
+ * @param {string} options.runId - ID of this run, recorded with the change history
+ * @param {CostBudget|null} runBudget - Optional: budget of the whole run, the hotel budget (HOTEL_BUDGET_USD) counts towards it
+ * @returns {Promise<Object>} Outcome for run tracking:
+ *   { status, attempts, filledFields, emptyFields, needsReview, confidence, errors, usage }
+ *   confidence maps each fetched field to its score; needsReview lists fields held for review
+ * @throws {Error} When a database operation fails; error.usage holds the usage entries of the AI calls made before
+ */
+export async function processHotelWithRetry(hotel, options = {}, runBudget = null) {
+  const requestedFieldNames = options.fields || MD_ALL_FIELDS.map(f => f.name);
+  const result = {
+    status: 'success', attempts: 0, filledFields: [], emptyFields: [], needsReview: [], confidence: {}, errors: [], usage: [],
+  };
+  // Once used up, no further attempt is made and FAQs and translations are skipped
+  const budget = new CostBudget({ label: 'Hotel', limitUsd: getBudgetLimit('HOTEL_BUDGET_USD'), parent: runBudget });
+
+  try {
+    // Fields locked by staff are never requested from the AI (and never written, see filterValidFields)
+    const lockedFields = await FieldLockService.getLockedFields(hotel.hotel_uuid);
+    const allFieldNames = requestedFieldNames.filter(fieldName => !lockedFields.includes(fieldName));
+    if (lockedFields.length > 0) {
+      logger.info(`🔒 Locked fields skipped (${lockedFields.length}): ${lockedFields.join(', ')}`);
+    }
+  
+    let existingData = await MarketDataService.getMarketDataByUuid(hotel.hotel_uuid);
+
+    // In incremental mode only fields that are empty in the stored row or stale are fetched
+    let targetFields = allFieldNames;
+    if (options.mode === 'incremental' && existingData && targetFields.length > 0) {
+      const timestamps = await FieldRefreshService.getFieldTimestamps(hotel.hotel_uuid);
+      targetFields = FieldRefreshService.getFieldsToRefresh(existingData, timestamps, allFieldNames);
+      logger.info(`🔄 Incremental refresh: ${targetFields.length}/${allFieldNames.length} fields are empty or stale`);
+    }
+
+    // The official website is crawled once; every attempt and the FAQ prompt read it before web search
+    const needsCrawl = targetFields.length > 0 || !options.skipFaq;
+    const crawl = needsCrawl ? await crawlHotelWebsite(hotel, options) : null;
+
+    if (targetFields.length === 0) {
+      logger.info(`✅ Nothing to fetch for ${hotel.name} (fields are locked or up to date).`);
+    } else {
+      const fetched = await fetchFieldsWithRetry(hotel, targetFields, existingData, crawl, budget);
+      const { accumulatedProvenance } = fetched;
+      result.usage.push(...fetched.usage);
+
+      // Review gate: low-confidence values always wait for a reviewer, and depending on REVIEW_MODE
+      // values that are new or change the stored row do too
+      const { publish: accumulatedData, review } = PendingValueService.splitForReview(fetched.accumulatedData, existingData);
+      const pendingValues = {};
+      Object.entries(fetched.pendingValues).forEach(([fieldName, pending]) => {
+        pendingValues[fieldName] = { ...pending, reason: 'low_confidence', oldValue: existingData?.[fieldName] ?? null };
+      });
+      Object.entries(review).forEach(([fieldName, reason]) => {
+        pendingValues[fieldName] = {
+          value: fetched.accumulatedData[fieldName],
+          confidence: fetched.confidence[fieldName],
+          provenance: accumulatedProvenance[fieldName],
+          reason,
+          oldValue: existingData?.[fieldName] ?? null,
+        };
+      });
+
+      result.attempts = fetched.attempts;
+      result.confidence = fetched.confidence;
+      result.needsReview = Object.keys(pendingValues);
+      result.errors.push(...fetched.errors);
+
+      // Flag results that look like another property (e.g. a different location of the same chain)
+      const pendingData = Object.fromEntries(Object.entries(pendingValues).map(([fieldName, { value }]) => [fieldName, value]));
+      const identityMismatches = IdentityService.checkIdentity(hotel, { ...accumulatedData, ...pendingData });
+      identityMismatches.forEach(({ field, expected, actual, reason }) => {
+        logger.warn(`⚠️  Identity mismatch on ${field}: ${reason} (expected "${expected}", got "${actual}")`);
+        result.errors.push(`Identity mismatch on ${field}: expected "${expected}", got "${actual}"`);
+      });
+
+      // Update database outside of retry loop
+      if (options.dryRun) {
+        logger.info(`\n📝 Dry run - merged record for ${hotel.name} (not saved):`);
+        logger.info(JSON.stringify({ hotel_uuid: hotel.hotel_uuid, ...accumulatedData }, null, 2));
+        logger.info(`\n🔗 Sources:`);
+        logger.info(JSON.stringify(accumulatedProvenance, null, 2));
+        if (result.needsReview.length > 0) {
+          logger.info(`\n🔎 Held for review (not published):`);
+          logger.info(JSON.stringify(pendingData, null, 2));
+        }
+      } else {
+        await saveMarketData(hotel, existingData, accumulatedData, accumulatedProvenance, { runId: options.runId, lockedFields });
+        await PendingValueService.savePendingValues(hotel.hotel_uuid, options.runId, pendingValues);
+      }
+
+      // Final status: fields held for review are neither filled (not published) nor empty
+      result.emptyFields = MarketDataService.getEmptyFields({ ...accumulatedData, ...pendingData }, targetFields);
+      result.filledFields = targetFields.filter(fieldName => !result.emptyFields.includes(fieldName) && !(fieldName in pendingData));
+      if (result.needsReview.length > 0) {
+        logger.info(`🔎 ${result.needsReview.length} value(s) held for review: ${result.needsReview.join(', ')}`);
+      }
+      if (result.emptyFields.length > 0) {
+        logger.warn(`⚠️  Completed with ${result.emptyFields.length} empty fields remaining after ${result.attempts} attempt(s)`);
+      } else {
+        logger.info(`✅ Successfully filled all fields for ${hotel.name}`);
+      }
+    }
+
+    // Fetch FAQs after processing data (optional)
+    if (!options.skipFaq && budget.isExceeded()) {
+      logger.warn(`💰 ${budget.getExceededMessage()}, FAQs not fetched for ${hotel.name}`);
+      result.errors.push(`FAQ: skipped, ${budget.getExceededMessage()}`);
+    } else if (!options.skipFaq) {
+      const faqResult = await fetchAndSaveHotelFAQ(hotel, options, crawl);
+      if (faqResult.usage) {
+        result.usage.push(faqResult.usage);
+        budget.add(faqResult.usage);
+      }
+      if (faqResult.error) {
+        result.errors.push(`FAQ: ${faqResult.error}`);
+      }
+    }
+
+    // Translate after market data and FAQs are saved, so changed English sources are picked up
+    if (!options.skipTranslation && TranslationService.getLocales().length > 0) {
+      if (options.dryRun) {
+        logger.info(`📝 Dry run - translations not updated`);
+      } else {
+        const translationResult = await translateHotel(hotel, budget);
+        result.usage.push(...translationResult.usage);
+        result.errors.push(...translationResult.errors.map(error => `Translation ${error}`));
+      }
+    }
+
+    if (result.filledFields.length === 0 && targetFields.length > 0 && result.errors.length > 0) {
+      result.status = 'failed';
+    } else if (result.emptyFields.length > 0 || result.errors.length > 0) {
+      result.status = 'partial';
+    }
+  } catch (error) {
+    // The AI calls made so far are charged to the budget, the failed result must report them too
+    error.usage = result.usage;
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Fetch fields with retry logic until all are filled or attempts run out
+ * Only fetches data, the database is not updated here.
+ * Every value seen (schema.org data and each attempt) is kept, and one value per field is picked and
+ * scored at the end; values below CONFIDENCE_THRESHOLD are returned as pendingValues instead of data.
+ * @param {Object} hotel - Hotel object from database
+ * @param {Array<string>} targetFields - Fields to fill
+ * @param {Object|null} existingData - Stored market data row (used for the validator's country and scoring)
+ * @param {Object|null} crawl - Website crawl from crawlHotelWebsite
+ * @param {CostBudget|null} budget - Budget the AI calls are charged to, no attempt starts once it is used up
+ * @returns {Promise<Object>} { accumulatedData, accumulatedProvenance, pendingValues, confidence, attempts, errors, usage }
+ */
+async function fetchFieldsWithRetry(hotel, targetFields, existingData, crawl = null, budget = null) {
+  const maxAttempts = Math.max(parseInt(process.env.SCRAPE_MAX_TRY || '2', 10), 1);
+  let accumulatedData = {}; // Start with empty object, then merge with new data
+  let rejectedValues = []; // Values refused by the validator, reported after the attempts
+  const observations = []; // Every validated value with where it came from, scored at the end
+  const errors = [];
+  const usage = [];
+  let attempt = 0;
+
+  // Fields the official site publishes as schema.org JSON-LD are filled without any AI call,
+  // so they drop out of the empty fields requested below
+  const schemaOrg = SchemaOrgService.extractFields(crawl, targetFields);
+  if (Object.keys(schemaOrg.data).length > 0) {
+    const knownLocation = schemaOrg.data.city_state_country || existingData?.city_state_country;
+    const { data: schemaData, rejected } = ValidationService.validateRecord(schemaOrg.data, {
+      country: ValidationService.parseLocation(knownLocation).country,
+    });
+    rejected.forEach(item => rejectedValues.push({ ...item, attempt: 0 }));
+    accumulatedData = MarketDataService.mergeDataSafely(accumulatedData, schemaData);
+
+    const fetchedAt = new Date();
+    const filledFields = Object.keys(schemaData).filter(fieldName => accumulatedData[fieldName] === schemaData[fieldName]);
+    filledFields.forEach(fieldName => {
+      observations.push({
+        field: fieldName,
+        value: schemaData[fieldName],
+        provenance: { source_urls: [schemaOrg.sources[fieldName]], provider: 'schema.org', model: null, fetched_at: fetchedAt },
+        attempt: 0,
+      });
+    });
+    logger.info(`🧩 Filled ${filledFields.length} field(s) from schema.org data: ${filledFields.join(', ')}`);
+
+    if (MarketDataService.getEmptyFields(accumulatedData, targetFields).length === 0) {
+      logger.info("🎉 All fields filled from schema.org data, no AI call needed!");
+    }
+  }
+  
+  // Attempt loop - only fetch data, don't update database
+  while (attempt < maxAttempts && MarketDataService.getEmptyFields(accumulatedData, targetFields).length > 0) {
+    if (budget?.isExceeded()) {
+      logger.warn(`💰 ${budget.getExceededMessage()}, no further attempts for ${hotel.name}`);
+      errors.push(budget.getExceededMessage());
+      break;
+    }
+    attempt++;
+    logger.info(`\n📊 Attempt ${attempt}/${maxAttempts} for ${hotel.name}`);
+    
+    // Get empty fields
+    const emptyFields = MarketDataService.getEmptyFields(accumulatedData, targetFields);
+    logger.info(`📋 Empty fields (${emptyFields.length}): ${emptyFields.slice(0, 5).join(', ')}${emptyFields.length > 5 ? '...' : ''}`);
+    
+    try {
+      // Fetch only empty fields
+      const fetched = await AIService.fetchHotelData(hotel, emptyFields, { crawl });
+      const { data: fetchedData, provenance } = fetched;
+      usage.push(...fetched.usage);
+      budget?.add(fetched.usage);
+
+      // Validate and normalize before merging; rejected values become null so the field is retried
+      const knownLocation = accumulatedData.city_state_country || existingData?.city_state_country;
+      const { data: newData, rejected } = ValidationService.validateRecord(fetchedData, {
+        country: ValidationService.parseLocation(knownLocation).country,
+      });
+      rejected.forEach(item => rejectedValues.push({ ...item, attempt }));
+      
+      // Merge new data with existing data (only non-empty values)
+      accumulatedData = MarketDataService.mergeDataSafely(accumulatedData, newData);
+
+      // Keep every value of this attempt, including fields returned although not requested,
+      // so disagreeing answers lower the confidence of the field
+      const returnedFields = targetFields.filter(fieldName => !MarketDataService.getEmptyFields(newData, [fieldName]).length);
+      returnedFields.forEach(fieldName => {
+        observations.push({ field: fieldName, value: newData[fieldName], provenance: provenance[fieldName] || {}, attempt });
+      });
+      
+      // Check if all fields are now filled
+      const remainingEmptyFields = MarketDataService.getEmptyFields(accumulatedData, targetFields);
+      if (remainingEmptyFields.length === 0) {
+        logger.info("🎉 All fields successfully filled!");
+        break;
+      }
+      
+      logger.info(`📊 Still missing ${remainingEmptyFields.length} fields`);
+      
+      // Wait before next retry
+      if (attempt < maxAttempts && remainingEmptyFields.length > 0) {
+        const delay = getBackoffDelay(attempt);
+        logger.info(`⏳ Waiting ${Math.round(delay / 1000)} seconds before next retry...`);
+        await sleep(delay);
+      }
+      
+    } catch (error) {
+      logger.error(`❌ Error on attempt ${attempt}`, { error: error.message });
+      errors.push(`Attempt ${attempt}: ${error.message}`);
+      if (error.usage) {
+        usage.push(...error.usage);
+        budget?.add(error.usage);
+      }
+      if (attempt >= maxAttempts) {
+        // Continue to database update even if last attempt failed
+        // This is user friendly message to avoid confusion.
+        logger.warn("⚠️  Proceeding to save accumulated data despite error...");
+        break;
+      }
+      const delay = getBackoffDelay(attempt, { error });
+      logger.info(`⏳ Waiting ${Math.round(delay / 1000)} seconds before retry...`);
+      await sleep(delay);
+    }
+  }
+  
+  // Report values the validator refused so they can be checked by hand
+  if (rejectedValues.length > 0) {
+    logger.info(`\n🚫 Rejected ${rejectedValues.length} value(s) for ${hotel.name}:`);
+    rejectedValues.forEach(({ field, value, reason, attempt: rejectedAttempt }) => {
+      const shownValue = typeof value === 'string' ? value : JSON.stringify(value);
+      logger.info(`   - ${field} (attempt ${rejectedAttempt}): ${reason} - "${String(shownValue).slice(0, 100)}"`);
+    });
+  }
+
+  // Pick and score one value per field; low-confidence values are held for review instead of published
+  const threshold = ConfidenceService.getThreshold();
+  const scored = ConfidenceService.consolidate(observations, { rejected: rejectedValues, storedData: existingData });
+  const consolidatedData = {};
+  const accumulatedProvenance = {};
+  const pendingValues = {};
+  const confidence = {};
+  Object.entries(scored).forEach(([fieldName, { value, confidence: score, provenance }]) => {
+    confidence[fieldName] = score;
+    if (score >= threshold) {
+      consolidatedData[fieldName] = value;
+      accumulatedProvenance[fieldName] = provenance;
+    } else {
+      pendingValues[fieldName] = { value, confidence: score, provenance };
+    }
+  });
+
+  const pendingFields = Object.keys(pendingValues);
+  if (pendingFields.length > 0) {
+    logger.warn(`⚠️  ${pendingFields.length} value(s) below confidence ${threshold}, held for review: ${pendingFields.map(f => `${f} (${confidence[f]})`).join(', ')}`);
+  }
+
+  return {
+    accumulatedData: consolidatedData,
+    accumulatedProvenance,
+    pendingValues,
+    confidence,
+    attempts: attempt,
+    errors,
+    usage,
+  };
+}
+
+/**
+ * Insert or update the accumulated market data for a hotel
+ * @param {Object} hotel - Hotel object from database
+ * @param {Object|null} existingData - Market data row loaded before fetching
+ * @param {Object} accumulatedData - Merged data from all attempts
+ * @param {Object} accumulatedProvenance - Field name => { source_urls, provider, model, attempt, fetched_at }
+ * @param {Object} options - { runId } recorded with the change history, { lockedFields } of the hotel read before fetching
+ */
+async function saveMarketData(hotel, existingData, accumulatedData, accumulatedProvenance = {}, { runId = null, lockedFields = [] } = {}) {
+  logger.info("\n💾 Saving data to database...");
+  let marketDataId = 0;
+  try {
+    if (existingData) {
+      // Update existing record
+      const existingId = await MarketDataService.getIdByUuid(hotel.hotel_uuid);
+      if (existingId > 0) {
+        await MarketDataService.updateMarketData(existingId, accumulatedData, { runId, lockedFields });
+        marketDataId = existingId;
+        logger.info(`✅ Updated ${hotel.name} in database`);
+      }
+    } else {
+      // Insert new record
+      const dataWithUuid = { ...accumulatedData, hotel_uuid: hotel.hotel_uuid };
+      const insertId = await MarketDataService.insertMarketData(dataWithUuid, { runId, lockedFields });
+      marketDataId = insertId;
+      logger.info(`✅ Inserted ${hotel.name} in database (ID: ${insertId})`);
+    }
+  } catch (error) {
+    logger.error(`❌ Error saving to database`, { error: error.message });
+    throw error;
+  }
+
+  // Record refresh timestamps of the fields that were written, used by incremental mode
+  const writtenFields = Object.keys(MarketDataService.filterValidFields(accumulatedData, lockedFields))
+    .filter(fieldName => fieldName !== 'hotel_uuid');
+  await FieldRefreshService.touchFields(hotel.hotel_uuid, writtenFields);
+
+  // Record where each written value came from
+  const writtenProvenance = {};
+  writtenFields.forEach(fieldName => {
+    if (accumulatedProvenance[fieldName]) {
+      writtenProvenance[fieldName] = accumulatedProvenance[fieldName];
+    }
+  });
+  await ProvenanceService.saveProvenance(marketDataId, writtenProvenance);
+}
+
+/**
+ * Crawl the hotel's official website
+ * Crawl failures are logged and never fail the hotel, the LLM then falls back to web search.
+ * @param {Object} hotel - Hotel object from database
+ * @param {Object} options - Run options
+ * @returns {Promise<Object|null>} Result of CrawlerService.crawlSite, null when not crawled
+ */
+async function crawlHotelWebsite(hotel, options = {}) {
+  if (options.skipCrawl || !CrawlerService.isEnabled() || !hotel.website) {
+    return null;
+  }
+
+  try {
+    const crawl = await CrawlerService.crawlSite(hotel.website);
+    if (crawl) {
+      logger.info(`🕸️  Crawled ${crawl.pages.length} page(s) from ${crawl.startUrl}, skipped ${crawl.skipped.length}`);
+      crawl.skipped.forEach(({ url, reason }) => logger.debug('Skipped page', { url, reason }));
+    }
+    return crawl;
+  } catch (error) {
+    logger.warn(`⚠️  Could not crawl ${hotel.website}`, { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Fetch hotel FAQs and save them to the FAQ table
+ * An empty response leaves stored FAQs untouched, since it usually means the fetch failed
+ * @param {Object} hotel - Hotel object from database
+ * @param {Object} options - Run options, FAQs are printed instead of saved on dry runs
+ * @param {Object|null} crawl - Website crawl from crawlHotelWebsite
+ * @returns {Promise<{usage: Object|null, error: string|null}>} Usage entry of the AI call and error message
+ */
+async function fetchAndSaveHotelFAQ(hotel, options = {}, crawl = null) {
+  let usage = null;
+  try {
+    const fetched = await AIService.fetchHotelFAQ(hotel, { crawl });
+    const { faqs } = fetched;
+    usage = fetched.usage;
+    if (!faqs || faqs.length === 0) {
+      logger.info(`ℹ️  No FAQs found for ${hotel.name}`);
+      return { usage, error: null };
+    }
+
+    logger.info(`\n📘 Found ${faqs.length} FAQs for ${hotel.name}`);
+    if (options.dryRun) {
+      FAQService.dedupeFaqs(faqs).forEach((faq, index) => {
+        logger.info(`\nQ${index + 1}: ${faq.question}`);
+        logger.info(`A${index + 1}: ${faq.answer}`);
+      });
+      return { usage, error: null };
+    }
+    await FAQService.saveFaqs(hotel.hotel_uuid, faqs);
+    return { usage, error: null };
+  } catch (error) {
+    logger.warn(`⚠️  Could not fetch/save FAQs for ${hotel.name}`, { error: error.message });
+    return { usage, error: error.message };
+  }
+}
+
+/**
+ * Translate the stored category fields and FAQs of a hotel into TRANSLATION_LOCALES
+ * @param {Object} hotel - Hotel object from database
+ * @param {CostBudget|null} budget - Budget the AI calls are charged to
+ * @returns {Promise<{usage: Array<Object>, errors: Array<string>}>} Usage entries of the AI calls and error messages
+ */
+async function translateHotel(hotel, budget = null) {
+  try {
+    const marketData = await MarketDataService.getMarketDataByUuid(hotel.hotel_uuid);
+    const faqs = await FAQService.getFaqsByUuid(hotel.hotel_uuid);
+    const { translated, deleted, usage, errors } = await TranslationService.translateHotel(hotel, marketData, faqs, budget);
+    if (translated > 0 || deleted > 0) {
+      logger.info(`🌐 Translations for ${hotel.name}: ${translated} updated, ${deleted} removed`);
+    }
+    return { usage, errors };
+  } catch (error) {
+    logger.warn(`⚠️  Could not update translations for ${hotel.name}`, { error: error.message });
+    return { usage: [], errors: [`failed: ${error.message}`] };
+  }
+}
+
+/**
+ * Process one hotel, log its usage and record it as an item of the run
+ * Errors are caught and reported as a failed result, so one hotel never stops the others.
+ * @param {Object} hotel - Hotel object from database
+ * @param {Object} options - Run options, see processHotelWithRetry
+ * @param {Object} tracking - Optional: { trackRun, runBudget } trackRun records the outcome under options.runId,
+ *   runBudget is the CostBudget of the run (see processHotelWithRetry)
+ * @returns {Promise<Object>} Outcome of processHotelWithRetry
+ */
+export async function processHotel(hotel, options, { trackRun = false, runBudget = null } = {}) {
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await processHotelWithRetry(hotel, options, runBudget);
+  } catch (error) {
+    logger.error(`❌ Error processing ${hotel.name}`, { error: error.message });
+    result = {
+      status: 'failed', attempts: null, filledFields: [], emptyFields: [], needsReview: [], errors: [error.message], usage: error.usage || [],
+    };
+  }
+
+  const usage = summarizeUsage(result.usage);
+  logger.info(`📈 ${hotel.name}: ${result.status}, ${usage.total_tokens} tokens in ${usage.calls} AI call(s), ${formatCost(usage.cost_usd)}`, {
+    status: result.status,
+    duration_ms: Date.now() - startedAt,
+    total_tokens: usage.total_tokens,
+    cost_usd: usage.cost_usd,
+  });
+
+  if (trackRun) {
+    try {
+      await RunService.recordItem(options.runId, hotel, { ...result, durationMs: Date.now() - startedAt });
+    } catch (error) {
+      logger.warn(`⚠️  Could not record run item for ${hotel.name}`, { error: error.message });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,134 @@
+import 'dotenv/config';
+import { randomUUID } from 'crypto';
+import { setTimeout as wait } from 'timers/promises';
+import { RunService } from '../services/runService.js';
+import { runBatch, getResumeOptions, withBatchLock } from './batch.js';
+import { parseCron, getNextRun } from '../utils/cron.js';
+import { logger } from '../utils/logger.js';
+
+// Scheduler mode (node index.js --schedule): runs the batch on SCHEDULE_CRON instead of the system crontab.
+// Every instance may run the scheduler; the batch lock and the last scheduled run decide which one
+// processes a given slot.
+
+// setTimeout cannot wait longer than ~24.8 days in one go
+const MAX_WAIT_MS = 2 ** 31 - 1;
+
+/**
+ * Wait until a date, resolving early when the signal aborts
+ * @param {Date} date - When to wake up
+ * @param {AbortSignal} signal - Shutdown signal
+ * @returns {Promise<void>}
+ */
+async function waitUntil(date, signal) {
+  while (!signal.aborted && Date.now() < date.getTime()) {
+    const delay = Math.min(date.getTime() - Date.now(), MAX_WAIT_MS);
+    await wait(delay, undefined, { signal }).catch(() => {});
+  }
+}
+
+/**
+ * Run the batch for one schedule slot, unless another instance holds the lock or already ran the slot
+ * @param {Object} options - Run options from parseCliOptions
+ * @param {Date} slot - Scheduled time of this run
+ * @param {AbortSignal} signal - Shutdown signal
+ * @returns {Promise<void>}
+ */
+async function runScheduledBatch(options, slot, signal) {
+  const ran = await withBatchLock(async () => {
+    // The lock is free again once the other instance is done, so check it did not already run this slot
+    const lastRun = await RunService.getLastScheduledRun();
+    if (lastRun && new Date(lastRun.started_at) >= slot) {
+      logger.info(`⏭️  Slot ${slot.toISOString()} already ran as ${lastRun.id}, skipping`);
+      return true;
+    }
+
+    // With --resume a scheduled run that never finished is continued instead of starting over
+    const resumeOptions = options.resume ? await getResumeOptions(options, { scheduled: true }) : null;
+    const runOptions = resumeOptions || { ...options, runId: randomUUID(), scheduled: true, scheduledFor: slot.toISOString() };
+    await logger.runWithContext({ run_id: runOptions.runId }, async () => {
+      logger.info(`⏰ ${resumeOptions ? 'Resumed' : 'Scheduled'} run ${runOptions.runId} for slot ${slot.toISOString()}`);
+      await runBatch(runOptions, signal);
+    });
+    return true;
+  });
+
+  if (!ran) {
+    logger.info(`🔒 Another instance is running the batch, skipping the ${slot.toISOString()} slot`);
+  }
+}
+
+/**
+ * Run one slot without letting its errors stop the scheduler
+ * @param {Object} options - Run options from parseCliOptions
+ * @param {Date} slot - Scheduled time of this run
+ * @param {AbortSignal} signal - Shutdown signal
+ * @returns {Promise<void>}
+ */
+async function runSlot(options, slot, signal) {
+  try {
+    await runScheduledBatch(options, slot, signal);
+  } catch (error) {
+    logger.error(`❌ Slot ${slot.toISOString()} failed, waiting for the next one`, { error: error.message });
+  }
+}
+
+/**
+ * Find a slot missed while no scheduler was running
+ * Only the latest missed slot is run, however many were missed.
+ * @param {Object} schedule - Result of parseCron
+ * @returns {Promise<Date|null>} Missed slot, null when nothing was missed or the scheduler never ran
+ */
+async function getMissedSlot(schedule) {
+  const lastRun = await RunService.getLastScheduledRun();
+  if (!lastRun) {
+    return null;
+  }
+
+  const now = new Date();
+  let missed = null;
+  let slot = getNextRun(schedule, new Date(lastRun.started_at));
+  while (slot && slot <= now) {
+    missed = slot;
+    slot = getNextRun(schedule, slot);
+  }
+  return missed;
+}
+
+/**
+ * Run the batch on schedule until the signal aborts
+ * @param {Object} options - Run options from parseCliOptions
+ * @param {AbortSignal} signal - Aborted on shutdown, the current batch then finishes its hotels in progress
+ * @returns {Promise<void>}
+ * @throws {Error} When SCHEDULE_CRON is invalid
+ */
+export async function runScheduler(options, signal) {
+  const schedule = parseCron(process.env.SCHEDULE_CRON || '43 21 * * *');
+  logger.info(`🗓️  Schedule: ${schedule.expression} (local time)`);
+
+  if (process.env.SCHEDULE_CATCH_UP !== 'false') {
+    const missedSlot = await getMissedSlot(schedule).catch(error => {
+      logger.error('❌ Could not check for a missed run', { error: error.message });
+      return null;
+    });
+    if (missedSlot) {
+      logger.info(`⏰ Missed the ${missedSlot.toISOString()} run while down, catching up now`);
+      await runSlot(options, missedSlot, signal);
+    }
+  }
+
+  while (!signal.aborted) {
+    const nextRun = getNextRun(schedule, new Date());
+    if (!nextRun) {
+      throw new Error(`Schedule "${schedule.expression}" never runs`);
+    }
+
+    logger.info(`💤 Next run at ${nextRun.toISOString()}`);
+    await waitUntil(nextRun, signal);
+    if (signal.aborted) {
+      break;
+    }
+    await runSlot(options, nextRun, signal);
+  }
+
+  logger.info('🗓️  Scheduler stopped');
+}
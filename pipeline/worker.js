@@ -0,0 +1,107 @@
+import 'dotenv/config';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { setTimeout as wait } from 'timers/promises';
+import { HotelService } from '../services/hotelService.js';
+import { JobService } from '../services/jobService.js';
+import { RunService } from '../services/runService.js';
+import { processHotel } from './hotelPipeline.js';
+import { logger } from '../utils/logger.js';
+
+// Refresh job worker (node index.js --worker): picks queued jobs from JobService and runs the
+// hotel pipeline on them. Each job gets its own run, so GET /runs/:id shows its details.
+
+/**
+ * Wait for the next poll, resolving early when the worker is asked to stop
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Stop signal
+ * @returns {Promise<void>}
+ */
+const pollDelay = (ms, signal) => wait(ms, undefined, { signal }).catch(() => {});
+
+/**
+ * Run one job: process its hotel under a run of its own and store the outcome on the job
+ * @param {Object} job - Claimed job from JobService.claimNext
+ * @param {Object} options - Worker options from parseCliOptions (fields come from the job)
+ * @returns {Promise<void>}
+ */
+async function runJob(job, options) {
+  const runId = randomUUID();
+
+  await logger.runWithContext({ run_id: runId, job_id: job.id, hotel_uuid: job.hotel_uuid }, async () => {
+    try {
+      const hotel = await HotelService.getHotelByUuid(job.hotel_uuid);
+      if (!hotel) {
+        await JobService.finishJob(job.id, 'failed', { error: `No active hotel found with UUID ${job.hotel_uuid}` });
+        logger.warn(`⚠️  Job ${job.id} failed: hotel not found`);
+        return;
+      }
+
+      logger.info(`🛠️  Running job ${job.id} for ${hotel.name} (${job.fields ? job.fields.join(', ') : 'all fields'})`);
+      await RunService.createRun(runId, { ...options, fields: job.fields, jobId: job.id });
+
+      const result = await processHotel(hotel, { ...options, fields: job.fields, runId }, { trackRun: true });
+      await RunService.finishRun(runId, 'completed')
+        .catch(error => logger.warn('⚠️  Could not finish run', { error: error.message }));
+
+      const failed = result.status === 'failed';
+      await JobService.finishJob(job.id, failed ? 'failed' : 'done', {
+        runId,
+        result: {
+          status: result.status,
+          attempts: result.attempts,
+          filledFields: result.filledFields,
+          emptyFields: result.emptyFields,
+          needsReview: result.needsReview,
+          errors: result.errors,
+        },
+        error: failed ? result.errors.join('; ') || null : null,
+      });
+      logger.info(`${failed ? '❌' : '✅'} Job ${job.id} ${failed ? 'failed' : 'done'} (${result.status})`);
+    } catch (error) {
+      logger.error(`❌ Job ${job.id} failed`, { error: error.message });
+      await JobService.finishJob(job.id, 'failed', { runId, error: error.message })
+        .catch(dbError => logger.warn('⚠️  Could not mark job as failed', { error: dbError.message }));
+    }
+  });
+}
+
+/**
+ * Process refresh jobs until the signal aborts
+ * Runs options.concurrency job loops; each finishes its current job before stopping.
+ * @param {Object} options - Worker options from parseCliOptions
+ * @param {AbortSignal} signal - Aborted on shutdown
+ * @returns {Promise<void>} Resolves once every loop has stopped
+ */
+export async function runWorker(options, signal) {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+  const staleMinutes = parseInt(process.env.JOB_STALE_MINUTES || '120', 10);
+
+  const staleJobs = await JobService.failStaleJobs(staleMinutes);
+  if (staleJobs > 0) {
+    logger.warn(`⚠️  Failed ${staleJobs} job(s) left running for more than ${staleMinutes} minutes`);
+  }
+
+  logger.info(`👷 Worker ${workerId} waiting for refresh jobs with ${options.concurrency} slot(s)...`);
+
+  const jobLoop = async () => {
+    while (!signal.aborted) {
+      let job = null;
+      try {
+        job = await JobService.claimNext(workerId);
+      } catch {
+        // Already logged by JobService, the next poll tries again
+      }
+
+      if (job) {
+        await runJob(job, options);
+      } else {
+        await pollDelay(pollIntervalMs, signal);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: options.concurrency }, jobLoop));
+  logger.info('👷 Worker stopped');
+}
@@ -0,0 +1,74 @@
+import 'dotenv/config';
+import { testConnection, closePool } from './config/database.js';
+import { PendingValueService } from './services/pendingValueService.js';
+import { MigrationService } from './services/migrationService.js';
+import { parseReviewCliOptions, printReviewUsage } from './config/cli.js';
+import { logger } from './utils/logger.js';
+
+/**
+ * Print pending values, one block per value
+ * @param {Array<Object>} rows - Rows from PendingValueService.listPending
+ */
+function printPendingValues(rows) {
+  if (rows.length === 0) {
+    logger.info('📭 No values waiting for review');
+    return;
+  }
+
+  rows.forEach(row => {
+    const confidence = row.confidence === null ? '-' : Number(row.confidence).toFixed(2);
+    logger.info(`\n#${row.id} ${row.hotel_uuid} ${row.field_name} (${row.reason}, confidence ${confidence}, ${row.provider || 'unknown'})`);
+    if (row.old_value !== null) {
+      logger.info(`   stored: ${String(row.old_value).slice(0, 300)}`);
+    }
+    logger.info(`   new:    ${String(row.value).slice(0, 300)}`);
+  });
+  logger.info(`\n${rows.length} value(s) waiting for review`);
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseReviewCliOptions();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    printReviewUsage();
+    process.exit(1);
+  }
+
+  if (options.help) {
+    printReviewUsage();
+    return;
+  }
+
+  const isConnected = await testConnection();
+  if (!isConnected) {
+    logger.error("❌ Cannot proceed without database connection");
+    process.exit(1);
+  }
+
+  try {
+    await MigrationService.assertSchemaReady();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    await closePool();
+    process.exit(1);
+  }
+
+  try {
+    if (options.command === 'list') {
+      printPendingValues(await PendingValueService.listPending({ hotelUuid: options.hotelUuid, limit: options.limit }));
+    } else if (options.command === 'approve') {
+      await PendingValueService.approve(options.id, { value: options.value, reviewedBy: options.reviewedBy, note: options.note });
+    } else {
+      await PendingValueService.reject(options.id, { reviewedBy: options.reviewedBy, note: options.note });
+    }
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -1,5 +1,9 @@
 #!/bin/bash
 
+# Prefer the built-in scheduler (node index.js --schedule, see SCHEDULE_CRON in .env.example):
+# it catches up on runs missed while down. Every run locks the batch in MySQL, so a cron run that
+# overlaps another one exits without processing.
+
 # Example cron usage:
 # 43 21 * * * /home/vaia-bot-old1/run_cron.sh
 # This runs the script daily at 21:43 (9:43 PM)
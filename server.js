@@ -0,0 +1,87 @@
+import 'dotenv/config';
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { testConnection, closePool } from './config/database.js';
+import { MigrationService } from './services/migrationService.js';
+import { matchRoute } from './api/routes.js';
+import { getApiKeys, isAuthorized } from './middleware/apiKeyAuth.js';
+import { sendJson } from './utils/http.js';
+import { logger } from './utils/logger.js';
+
+// HTTP API over the market data this project collects, plus on-demand refresh jobs (see api/routes.js)
+const PORT = parseInt(process.env.API_PORT || '3000', 10);
+const HOST = process.env.API_HOST || '0.0.0.0';
+
+/**
+ * Handle one request: authenticate, route, and turn errors into JSON responses
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  const startedAt = Date.now();
+  const url = new URL(req.url, 'http://localhost');
+
+  try {
+    if (!isAuthorized(req)) {
+      sendJson(res, 401, { error: 'Missing or invalid API key' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    const { handler, params } = matchRoute(req.method, url.pathname);
+    await handler(req, res, params, url.searchParams);
+  } catch (error) {
+    if (error.status) {
+      sendJson(res, error.status, { error: error.message });
+    } else {
+      logger.error('Error handling API request', { error: error.message });
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }
+  } finally {
+    logger.info(`${req.method} ${url.pathname} ${res.statusCode}`, { duration_ms: Date.now() - startedAt });
+  }
+}
+
+async function main() {
+  if (getApiKeys().length === 0) {
+    logger.error('❌ API_KEYS is not set, refusing to start the API without authentication');
+    process.exit(1);
+  }
+
+  const isConnected = await testConnection();
+  if (!isConnected) {
+    logger.error("❌ Cannot proceed without database connection");
+    process.exit(1);
+  }
+
+  try {
+    await MigrationService.assertSchemaReady();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    await closePool();
+    process.exit(1);
+  }
+
+  const server = http.createServer((req, res) => {
+    logger.runWithContext({ request_id: randomUUID() }, () => handleRequest(req, res));
+  });
+
+  const shutdown = (signal) => {
+    logger.info(`\n🛑 Received ${signal}, shutting down gracefully...`);
+    server.close(async () => {
+      await closePool();
+      process.exit(0);
+    });
+    // Keep-alive connections would hold close() open
+    server.closeIdleConnections();
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  server.listen(PORT, HOST, () => {
+    logger.info(`🌐 API listening on http://${HOST}:${PORT}`);
+  });
+}
+
+main();
@@ -1,40 +1,165 @@
-import OpenAI from "openai";
 import extractJson from 'extract-json-from-string';
-import { MD_ALL_FIELDS } from '../middleware/constants.js';
+import { MD_ALL_FIELDS, MD_PR_FIELDS } from '../middleware/constants.js';
+import { getProviderConfig, getProviderChain, getMaxTokens } from '../config/llm.js';
+import { getProvider } from './llm/index.js';
+import { sleep, getBackoffDelay, isRetryableError } from '../utils/backoff.js';
+import { toUsageEntry } from '../utils/usage.js';
+import { CrawlerService } from './crawlerService.js';
+import { logger } from '../utils/logger.js';
 
-const openai = new OpenAI({
-  apiKey: process.env["PERPLEXITY_API_KEY"],
-  baseURL: "https://api.perplexity.ai",
-});
+const PRIMARY_FIELD_NAMES = new Set(MD_PR_FIELDS.map(f => f.name));
 
 export class AIService {
-  
-  // Fetch hotel data using AI
-  // @param {string} hotelName - Name of the hotel to fetch data for
-  // @param {Array<string>} fieldsToFetch - Optional: specific fields to fetch (if empty, fetches all)
-  static async fetchHotelData(hotelName, fieldsToFetch = null) {
-    console.log(`🔍 Fetching data for: ${hotelName}`);
-    
-    // Filter fields if specific fields requested
-    const fields = fieldsToFetch 
-      ? MD_ALL_FIELDS.filter(f => fieldsToFetch.includes(f.name))
-      : MD_ALL_FIELDS;
-    
-    if (fields.length === 0) {
-      throw new Error("No fields to fetch");
+
+  // Provider chosen for the whole run (--provider), overrides LLM_PROVIDER and per-group settings
+  static runProvider = null;
+
+  /**
+   * Use one provider for every field group in this run
+   * @param {string|null} providerName - Provider name from LLM_PROVIDERS, null to use the configuration
+   * @throws {Error} When the provider is unknown
+   */
+  static setRunProvider(providerName) {
+    if (providerName) {
+      getProviderConfig(providerName);
+    }
+    this.runProvider = providerName || null;
+  }
+
+  /**
+   * Run a request against one provider through its rate limiter
+   * Rate limit (429), server and network errors are retried with exponential backoff,
+   * honoring retry-after headers. Other errors are thrown immediately.
+   * @param {Object} provider - Provider instance from getProvider
+   * @param {Object} request - Provider request ({ task, prompt, fields, hotelName, maxTokens, onText })
+   * @returns {Promise<{text: string, citations: Array<string>, usage: Object|null, provider: string, model: string}>}
+   */
+  static async completeWithRetry(provider, request) {
+    const maxRetries = Math.max(parseInt(process.env.AI_MAX_RETRIES || '3', 10), 0);
+
+    for (let attempt = 1; ; attempt++) {
+      await provider.rateLimiter.acquire();
+      try {
+        return await provider.complete(request);
+      } catch (error) {
+        if (attempt > maxRetries || !isRetryableError(error)) {
+          throw error;
+        }
+        const delay = getBackoffDelay(attempt, { error });
+        logger.info(`⏳ ${provider.name} request failed (${error.status ?? error.message}), retrying in ${Math.round(delay / 1000)}s...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Run a request against the providers configured for a field group
+   * Falls back to the next provider in the chain (LLM_FALLBACK_PROVIDER) when one fails.
+   * @param {string} group - Field group: 'primary', 'category' or 'faq'
+   * @param {Object} request - Provider request without maxTokens ({ task, prompt, fields, hotelName, onText })
+   * @returns {Promise<{text: string, citations: Array<string>, usage: Object|null, provider: string, model: string}>}
+   * @throws {Error} The last provider error when every provider failed
+   */
+  static async complete(group, request) {
+    const chain = getProviderChain(group, this.runProvider);
+    let lastError;
+
+    for (const [index, providerName] of chain.entries()) {
+      const provider = getProvider(providerName);
+      try {
+        return await this.completeWithRetry(provider, {
+          ...request,
+          maxTokens: getMaxTokens(request.task, provider.config),
+        });
+      } catch (error) {
+        lastError = error;
+        if (index < chain.length - 1) {
+          logger.warn(`⚠️  ${providerName} failed (${error.message}), falling back to ${chain[index + 1]}`);
+        }
+      }
     }
-    
+
+    throw lastError;
+  }
+
+  /**
+   * Split fields into batches that share the same provider chain
+   * Groups routed to the same providers are fetched with a single prompt.
+   * @param {Array<Object>} fields - Field definitions from MD_ALL_FIELDS
+   * @returns {Array<{group: string, fields: Array<Object>}>}
+   */
+  static getFieldBatches(fields) {
+    const batches = new Map();
+
+    fields.forEach(field => {
+      const group = PRIMARY_FIELD_NAMES.has(field.name) ? 'primary' : 'category';
+      const chainKey = getProviderChain(group, this.runProvider).join('>');
+      if (!batches.has(chainKey)) {
+        batches.set(chainKey, { group, fields: [] });
+      }
+      batches.get(chainKey).fields.push(field);
+    });
+
+    return [...batches.values()];
+  }
+
+  /**
+   * Describe the hotel for prompts: name plus whatever hotel_list knows about its identity
+   * Chains have many properties with near-identical names, so the website and location
+   * anchor the search on the right one.
+   * @param {Object} hotel - Hotel from hotel_list ({ name, website, city, address })
+   * @returns {string} Prompt block identifying the hotel
+   */
+  static describeHotel(hotel) {
+    const lines = [`"${hotel.name}"`];
+    if (hotel.website) {
+      lines.push(`Official website: ${hotel.website}`);
+    }
+    if (hotel.address) {
+      lines.push(`Address: ${hotel.address}`);
+    }
+    if (hotel.city) {
+      lines.push(`City: ${hotel.city}`);
+    }
+    if (lines.length > 1) {
+      lines.push('', 'Only use information about this exact property. Other locations of the same brand or hotels with a similar name are different hotels.');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Wrap crawled website content for a prompt
+   * @param {string} siteContent - Result of CrawlerService.toPromptContent
+   * @returns {string} Prompt block, empty when there is no content
+   */
+  static buildSiteContentBlock(siteContent) {
+    if (!siteContent) {
+      return '';
+    }
+
+    return `
+
+Content crawled from the hotel's official website is included below. Fill fields from it first and only search the web for information it does not cover.
+
+--- OFFICIAL WEBSITE CONTENT ---
+${siteContent}
+--- END OF WEBSITE CONTENT ---`;
+  }
+
+  // Build the market data prompt for a list of field definitions
+  // siteContent is crawled website text (see CrawlerService.toPromptContent), empty when not crawled
+  static buildHotelDataPrompt(hotel, fields, onlyListedFields, siteContent = '') {
     const fieldsDoc = fields
       .map(f => `  "${f.name}": "${f.capture_description}"`)
       .join(',\n');
 
-    const fieldsNote = fieldsToFetch 
+    const fieldsNote = onlyListedFields
       ? `\n\nIMPORTANT: Only return the fields listed above. Focus on finding these specific pieces of information.`
       : '';
 
-    const prompt = `Parse live info from this hotel's website or any other reliable sources:
+    return `Parse live info from this hotel's website or any other reliable sources:
 
-"${hotelName}"
+${this.describeHotel(hotel)}${this.buildSiteContentBlock(siteContent)}
 
 Return a JSON object with EXACTLY these key-value pairs (single level, no nested objects):
 
@@ -45,66 +170,157 @@ ${fieldsNote}
 
 If any information is not available, use just "N/A" as the value, no quotes.
 Please do **deep** live web search to get current information. Do not make up any information. Do not return any other text than the JSON object.`;
+  }
 
-    try {
-      const completions = await openai.chat.completions.create({
-        model: "sonar-pro",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 1024 * 10 * 4,
-        stream: true,
-      });
+  /**
+   * Get source URLs of a field value
+   * Values citing sources with markers like "[2]" get those citations, other values get
+   * every citation of the response they came from.
+   * @param {*} value - Field value returned by the model
+   * @param {Array<string>} citations - Citations of the response
+   * @returns {Array<string>} Source URLs
+   */
+  static getFieldSources(value, citations) {
+    if (!citations || citations.length === 0) {
+      return [];
+    }
 
-      // Collect the full response
-      let fullResponse = "";
-      for await (const part of completions) {
-        const content = part.choices[0]?.delta?.content || "";
-        fullResponse += content;
-        process.stdout.write(content);
-      }
+    const markers = typeof value === 'string' ? [...value.matchAll(/\[(\d+)\]/g)] : [];
+    const citedUrls = markers
+      .map(match => citations[parseInt(match[1], 10) - 1])
+      .filter(Boolean);
 
-      console.log("\n" + "=".repeat(50));
-      console.log("EXTRACTING JSON...");
-      console.log("=".repeat(50));
+    return citedUrls.length > 0 ? [...new Set(citedUrls)] : [...citations];
+  }
 
-      // Extract JSON using extract-json-from-string
-      const extractedJsonObjects = extractJson(fullResponse);
-      
-      if (extractedJsonObjects.length === 0) {
-        throw new Error("No JSON found in response");
-      }
-      
-      // Use the first (and usually only) JSON object found
-      const parsedJson = extractedJsonObjects[0];
-
-      // Validate requested fields
-      const requestedFields = fields.map(f => f.name);
-      const missingFields = requestedFields.filter(field => !(field in parsedJson));
-      
-      if (missingFields.length > 0) {
-        console.log(`⚠️  Missing fields in response: ${missingFields.join(', ')}`);
-      } else {
-        console.log(`✅ All requested fields (${requestedFields.length}) present in response!`);
+  // Fetch hotel data using AI
+  // @param {Object} hotel - Hotel to fetch data for ({ name, website, city, address } from hotel_list)
+  // @param {Array<string>} fieldsToFetch - Optional: specific fields to fetch (if empty, fetches all)
+  // @param {Object} options - Optional: { crawl } website crawl from CrawlerService.crawlSite, read before web search
+  // @returns {Promise<{data: Object, provenance: Object, usage: Array<Object>}>} Parsed field values,
+  //   per returned field { source_urls, provider, model, fetched_at }, and one usage entry per AI call
+  // @throws {Error} When no batch returned data; error.usage holds the usage entries of answered calls
+  static async fetchHotelData(hotel, fieldsToFetch = null, { crawl = null } = {}) {
+    logger.info(`🔍 Fetching data for: ${hotel.name}`);
+
+    // Filter fields if specific fields requested
+    const fields = fieldsToFetch
+      ? MD_ALL_FIELDS.filter(f => fieldsToFetch.includes(f.name))
+      : MD_ALL_FIELDS;
+
+    if (fields.length === 0) {
+      throw new Error("No fields to fetch");
+    }
+
+    const batches = this.getFieldBatches(fields);
+    let mergedJson = {};
+    let provenance = {};
+    const usage = [];
+    let lastError = null;
+
+    for (const batch of batches) {
+      try {
+        const result = await this.fetchFieldBatch(hotel, batch, Boolean(fieldsToFetch), crawl);
+        mergedJson = { ...mergedJson, ...result.data };
+        provenance = { ...provenance, ...result.provenance };
+        usage.push(result.usage);
+      } catch (error) {
+        // Keep the other batches' results, fail only when nothing was fetched
+        lastError = error;
+        if (error.usage) {
+          usage.push(error.usage);
+        }
+        logger.error(`❌ Error fetching ${batch.group} fields for ${hotel.name}`, { error: error.message });
       }
+    }
 
-      return parsedJson;
+    if (lastError && Object.keys(mergedJson).length === 0) {
+      // Calls that were answered but unusable still cost tokens
+      lastError.usage = usage;
+      throw lastError;
+    }
 
-    } catch (error) {
-      console.error(`❌ Error fetching data for ${hotelName}:`, error.message);
-      throw error;
+    return { data: mergedJson, provenance, usage };
+  }
+
+  /**
+   * Fetch one batch of fields with the providers of its group
+   * @param {Object} hotel - Hotel to fetch data for
+   * @param {{group: string, fields: Array<Object>}} batch - Batch from getFieldBatches
+   * @param {boolean} onlyListedFields - Add the "only return the fields listed" note to the prompt
+   * @param {Object|null} crawl - Website crawl, its content is added to the prompt
+   * @returns {Promise<{data: Object, provenance: Object, usage: Object}>} Parsed JSON object, per-field provenance
+   *   and the usage entry of the call
+   * @throws {Error} When the call fails or the answer has no JSON; error.usage is set when the call was answered
+   */
+  static async fetchFieldBatch(hotel, batch, onlyListedFields, crawl = null) {
+    const { fields } = batch;
+    const prompt = this.buildHotelDataPrompt(hotel, fields, onlyListedFields, CrawlerService.toPromptContent(crawl));
+
+    const completion = await this.complete(batch.group, {
+      task: 'market_data',
+      prompt,
+      fields: fields.map(f => f.name),
+      hotelName: hotel.name,
+    });
+
+    logger.debug('Raw model output', { provider: completion.provider, model: completion.model, raw: completion.text });
+    logger.info(`Extracting JSON (${completion.provider}/${completion.model})`);
+    const usage = toUsageEntry(completion);
+
+    // Extract JSON using extract-json-from-string
+    const extractedJsonObjects = extractJson(completion.text);
+
+    if (extractedJsonObjects.length === 0) {
+      throw Object.assign(new Error("No JSON found in response"), { usage });
     }
+
+    // Use the first (and usually only) JSON object found
+    const parsedJson = extractedJsonObjects[0];
+
+    // Validate requested fields
+    const requestedFields = fields.map(f => f.name);
+    const missingFields = requestedFields.filter(field => !(field in parsedJson));
+
+    if (missingFields.length > 0) {
+      logger.warn(`⚠️  Missing fields in response: ${missingFields.join(', ')}`);
+    } else {
+      logger.info(`✅ All requested fields (${requestedFields.length}) present in response!`);
+    }
+
+    // Providers without web search return no citations, their only source is the crawled website
+    const citations = completion.citations?.length > 0 ? completion.citations : CrawlerService.getPageUrls(crawl);
+    const fetchedAt = new Date();
+    const provenance = {};
+    Object.keys(parsedJson).forEach(fieldName => {
+      provenance[fieldName] = {
+        source_urls: this.getFieldSources(parsedJson[fieldName], citations),
+        provider: completion.provider,
+        model: completion.model,
+        fetched_at: fetchedAt,
+      };
+    });
+
+    return { data: parsedJson, provenance, usage };
   }
 
   /**
    * Fetch hotel FAQs (question/answer pairs) using AI
-   * @param {string} hotelName - Name of the hotel to fetch FAQs for
-   * @returns {Promise<Array<{question: string, answer: string}>>}
+   * @param {Object} hotel - Hotel to fetch FAQs for ({ name, website, city, address } from hotel_list)
+   * @param {Object} options - Optional: { crawl } website crawl, its FAQ pages are read before web search
+   * @returns {Promise<{faqs: Array<{question: string, answer: string}>, usage: Object}>} FAQ pairs and
+   *   the usage entry of the call
    */
-  static async fetchHotelFAQ(hotelName) {
-    console.log(`\n📚 Fetching FAQs for: ${hotelName}`);
+  static async fetchHotelFAQ(hotel, { crawl = null } = {}) {
+    logger.info(`📚 Fetching FAQs for: ${hotel.name}`);
+
+    // Prefer the crawled FAQ pages, fall back to everything crawled when the site has none
+    const siteContent = CrawlerService.toPromptContent(crawl, { kinds: ['faq'] })
+      || CrawlerService.toPromptContent(crawl);
 
     const prompt = `Parse FAQ content from this hotel's official FAQ page:
 
-"${hotelName}"
+${this.describeHotel(hotel)}${this.buildSiteContentBlock(siteContent)}
 
 Return a JSON array of objects with EXACTLY this structure:
 [
@@ -121,35 +337,83 @@ Rules:
 - Do not include any text outside the JSON array.`;
 
     try {
-      const completions = await openai.chat.completions.create({
-        model: "sonar-pro",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 1024 * 10 * 8,
-        stream: true,
+      const completion = await this.complete('faq', {
+        task: 'faq',
+        prompt,
+        hotelName: hotel.name,
       });
 
-      let fullResponse = "";
-      for await (const part of completions) {
-        const content = part.choices[0]?.delta?.content || "";
-        fullResponse += content;
-      }
-
-      const extractedJsonObjects = extractJson(fullResponse);
+      const usage = toUsageEntry(completion);
+      const extractedJsonObjects = extractJson(completion.text);
       if (extractedJsonObjects.length === 0) {
-        console.log("⚠️  No FAQ JSON found in response");
-        return [];
+        logger.warn("⚠️  No FAQ JSON found in response");
+        return { faqs: [], usage };
       }
 
       const faqs = extractedJsonObjects[0];
       if (!Array.isArray(faqs)) {
-        console.log("⚠️  FAQ response was not an array");
-        return [];
+        logger.warn("⚠️  FAQ response was not an array");
+        return { faqs: [], usage };
       }
 
-      return faqs;
+      return { faqs, usage };
     } catch (error) {
-      console.error(`❌ Error fetching FAQs for ${hotelName}:`, error.message);
+      logger.error(`❌ Error fetching FAQs for ${hotel.name}`, { error: error.message });
       throw error;
     }
   }
+
+  /**
+   * Translate texts of a hotel from English into one language
+   * @param {Object} hotel - Hotel the texts are about ({ name } from hotel_list)
+   * @param {Object} texts - Key => English text, keys come back unchanged
+   * @param {string} locale - Target locale, e.g. 'es' or 'pt-BR'
+   * @param {string} languageName - Name of the language for the prompt, e.g. 'Spanish'
+   * @returns {Promise<{translations: Object, provider: string, model: string, usage: Object}>} Key => translated
+   *   text for every key the model returned, and the usage entry of the call
+   * @throws {Error} When the call fails or the answer has no JSON object; error.usage is set when the call was answered
+   */
+  static async translateTexts(hotel, texts, locale, languageName) {
+    const keys = Object.keys(texts);
+    logger.info(`🌐 Translating ${keys.length} text(s) to ${languageName} (${locale}) for: ${hotel.name}`);
+
+    const prompt = `Translate the information about the hotel "${hotel.name}" below from English to ${languageName} (${locale}).
+
+The input is a JSON object. Return a JSON object with EXACTLY the same keys, each with the translated text as its value.
+
+${JSON.stringify(texts, null, 2)}
+
+Rules:
+- Keep hotel, brand and place names, email addresses, phone numbers, URLs and prices unchanged.
+- Keep line breaks and list formatting.
+- Do not add, drop or summarize information.
+- Do not include any text outside the JSON object.`;
+
+    const completion = await this.complete('translation', {
+      task: 'translation',
+      prompt,
+      fields: keys,
+      hotelName: hotel.name,
+    });
+
+    const usage = toUsageEntry(completion);
+    const [parsedJson] = extractJson(completion.text);
+    if (!parsedJson || Array.isArray(parsedJson) || typeof parsedJson !== 'object') {
+      throw Object.assign(new Error("No JSON object found in translation response"), { usage });
+    }
+
+    const translations = {};
+    keys.forEach(key => {
+      const value = parsedJson[key];
+      if (typeof value === 'string' && value.trim()) {
+        translations[key] = value.trim();
+      }
+    });
+    const missingKeys = keys.filter(key => !(key in translations));
+    if (missingKeys.length > 0) {
+      logger.warn(`⚠️  Missing translations (${locale}): ${missingKeys.join(', ')}`);
+    }
+
+    return { translations, provider: completion.provider, model: completion.model, usage };
+  }
 }
@@ -0,0 +1,162 @@
+import 'dotenv/config';
+import { MD_ALL_FIELDS } from '../middleware/constants.js';
+import { getProviderConfig } from '../config/llm.js';
+
+// Field types checked by the validator; a value that passed them is worth more than free text
+const VALIDATED_TYPES = new Set(['email', 'phone', 'phone_list', 'zipcode', 'location']);
+const fieldTypes = new Map(MD_ALL_FIELDS.map(f => [f.name, f.type]));
+
+// Score weights, see scoreCandidate
+const BASE_SCORE = { 'schema.org': 0.7, default: 0.4 };
+const CITATION_BONUS = 0.2;
+const VALIDATED_BONUS = 0.1;
+const AGREEMENT_BONUS = 0.2;
+const CONFLICT_PENALTY = 0.2;
+const STORED_AGREEMENT_BONUS = 0.15;
+const REJECTION_PENALTY = 0.1;
+
+// Free-text values agree when they share most of their words
+const TEXT_SIMILARITY_THRESHOLD = 0.6;
+
+const toWordSet = (value) => new Set(
+  String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim().split(' ').filter(Boolean)
+);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export class ConfidenceService {
+
+  /**
+   * Get the score below which a value is held for review instead of published (CONFIDENCE_THRESHOLD, default 0.5)
+   * @returns {number} Threshold between 0 and 1
+   */
+  static getThreshold() {
+    const threshold = parseFloat(process.env.CONFIDENCE_THRESHOLD || '');
+    return Number.isNaN(threshold) ? 0.5 : Math.min(Math.max(threshold, 0), 1);
+  }
+
+  /**
+   * Warn when providers that cite no sources would have most of their values held for review
+   * Without a citation, a value returned once scores 0.4 (0.5 for validated types), below the default
+   * threshold. Such providers only get the citation bonus for values found on the crawled hotel website.
+   * @param {Array<string>} providerNames - Providers answering market data fields
+   * @returns {string|null} Warning, null when every provider cites sources or the threshold is low enough
+   * @throws {Error} When a provider is unknown
+   */
+  static getUncitedWarning(providerNames) {
+    const threshold = this.getThreshold();
+    const uncited = providerNames.filter(name => !getProviderConfig(name).citesSources);
+    if (uncited.length === 0 || threshold <= BASE_SCORE.default) {
+      return null;
+    }
+    return `No source URLs from ${uncited.join(', ')}: values not found on the crawled hotel website score ${BASE_SCORE.default}`
+      + ` and are held for review at CONFIDENCE_THRESHOLD ${threshold}`;
+  }
+
+  /**
+   * Check if two values of a field say the same thing
+   * Short values must match after normalizing case and punctuation, long free text must share most words.
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean}
+   */
+  static valuesAgree(a, b) {
+    const wordsA = toWordSet(a);
+    const wordsB = toWordSet(b);
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return false;
+    }
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    if (Math.max(wordsA.size, wordsB.size) <= 5) {
+      return shared === wordsA.size && shared === wordsB.size;
+    }
+    return shared / (wordsA.size + wordsB.size - shared) >= TEXT_SIMILARITY_THRESHOLD;
+  }
+
+  /**
+   * Score one candidate value of a field
+   * - base: 0.7 for schema.org data from the official site, 0.4 for AI answers
+   * - +0.2 when the value has source URLs (web search citations or crawled pages)
+   * - +0.1 when the field type is checked by the validator (email, phone, zipcode, ...)
+   * - +0.2 per other attempt/provider that returned the same value, -0.2 per one that returned a different value
+   * - +0.15 when it matches the value already stored
+   * - -0.1 per value of this field the validator rejected
+   * @param {Object} candidate - Observation { field, value, provenance, attempt }
+   * @param {Array<Object>} observations - Every observation of the same field
+   * @param {Object} context - { rejectedCount, storedValue }
+   * @returns {{confidence: number, agreeing: number, conflicting: number}} Score clamped to 0..1
+   */
+  static scoreCandidate(candidate, observations, { rejectedCount = 0, storedValue = null } = {}) {
+    const others = observations.filter(observation => observation !== candidate);
+    const agreeing = others.filter(observation => this.valuesAgree(observation.value, candidate.value)).length;
+    const conflicting = others.length - agreeing;
+
+    let score = BASE_SCORE[candidate.provenance?.provider] ?? BASE_SCORE.default;
+    if (candidate.provenance?.source_urls?.length > 0) {
+      score += CITATION_BONUS;
+    }
+    if (VALIDATED_TYPES.has(fieldTypes.get(candidate.field))) {
+      score += VALIDATED_BONUS;
+    }
+    score += agreeing * AGREEMENT_BONUS - conflicting * CONFLICT_PENALTY;
+    if (storedValue !== null && storedValue !== undefined && this.valuesAgree(storedValue, candidate.value)) {
+      score += STORED_AGREEMENT_BONUS;
+    }
+    score -= rejectedCount * REJECTION_PENALTY;
+
+    return { confidence: round(Math.min(Math.max(score, 0), 1)), agreeing, conflicting };
+  }
+
+  /**
+   * Pick one value per field from every value observed during a hotel's attempts and score it
+   * The best scored candidate wins; ties go to the latest attempt.
+   * @param {Array<{field: string, value: *, provenance: Object, attempt: number}>} observations - Validated values
+   * @param {Object} context
+   * @param {Array<{field: string}>} context.rejected - Values the validator refused
+   * @param {Object|null} context.storedData - Stored market data row
+   * @returns {Object} Field name => { value, confidence, provenance, agreeing, conflicting }
+   * @example
+   * const scored = ConfidenceService.consolidate([
+   *   { field: 'main_phone', value: '+15125550101', provenance: { provider: 'perplexity', source_urls: [] }, attempt: 1 },
+   *   { field: 'main_phone', value: '+15125550199', provenance: { provider: 'perplexity', source_urls: [] }, attempt: 2 },
+   * ]);
+   * // scored.main_phone.confidence === 0.3, the conflict pushes it below the threshold
+   */
+  static consolidate(observations, { rejected = [], storedData = null } = {}) {
+    const byField = new Map();
+    observations.forEach(observation => {
+      if (!byField.has(observation.field)) {
+        byField.set(observation.field, []);
+      }
+      byField.get(observation.field).push(observation);
+    });
+
+    const consolidated = {};
+    byField.forEach((fieldObservations, fieldName) => {
+      const context = {
+        rejectedCount: rejected.filter(item => item.field === fieldName).length,
+        storedValue: storedData?.[fieldName] ?? null,
+      };
+
+      let best = null;
+      fieldObservations.forEach(candidate => {
+        const score = this.scoreCandidate(candidate, fieldObservations, context);
+        if (!best || score.confidence > best.confidence
+          || (score.confidence === best.confidence && candidate.attempt >= best.candidate.attempt)) {
+          best = { candidate, ...score };
+        }
+      });
+
+      consolidated[fieldName] = {
+        value: best.candidate.value,
+        confidence: best.confidence,
+        provenance: { ...best.candidate.provenance, attempt: best.candidate.attempt, confidence: best.confidence },
+        agreeing: best.agreeing,
+        conflicting: best.conflicting,
+      };
+    });
+
+    return consolidated;
+  }
+}
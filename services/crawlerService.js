@@ -0,0 +1,306 @@
+import 'dotenv/config';
+import { sleep } from '../utils/backoff.js';
+import { logger } from '../utils/logger.js';
+import { createRobotsRules, ALLOW_ALL, DISALLOW_ALL } from '../utils/robots.js';
+import { extractTitle, extractText, extractLinks, extractJsonLd, hasSchemaType } from '../utils/html.js';
+
+export const HOTEL_SCHEMA_TYPES = ['Hotel', 'LodgingBusiness', 'Resort', 'Motel', 'BedAndBreakfast', 'Hostel'];
+export const FAQ_SCHEMA_TYPES = ['FAQPage'];
+
+// Linked pages worth crawling, in priority order; the first matching kind is used
+const PAGE_KINDS = [
+  { kind: 'faq', pattern: /faq|frequently|questions/i },
+  { kind: 'amenities', pattern: /amenit|facilit|features|services|things-to-do/i },
+  { kind: 'policies', pattern: /polic|rules|terms/i },
+  { kind: 'contact', pattern: /contact|location|directions|getting-here|about/i },
+  { kind: 'rooms', pattern: /rooms|suites|accommodation/i },
+  { kind: 'dining', pattern: /dining|restaurant|bar|breakfast/i },
+  { kind: 'parking', pattern: /parking|transport|shuttle/i },
+];
+
+// Links to files are never crawled
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|zip|docx?|xlsx?|mp4|ics)$/i;
+
+// Pages are only read when served as HTML or plain text
+const TEXT_CONTENT_TYPES = /html|text\/plain/i;
+
+// Upper bound for a robots.txt Crawl-delay, so one slow site cannot stall a worker
+const MAX_CRAWL_DELAY_MS = 10000;
+
+const getSettings = () => ({
+  maxPages: Math.max(parseInt(process.env.CRAWL_MAX_PAGES || '6', 10), 1),
+  timeoutMs: parseInt(process.env.CRAWL_TIMEOUT_MS || '10000', 10),
+  maxPageChars: parseInt(process.env.CRAWL_MAX_PAGE_CHARS || '15000', 10),
+  maxPageBytes: parseInt(process.env.CRAWL_MAX_PAGE_BYTES || '2000000', 10),
+  userAgent: process.env.CRAWL_USER_AGENT || 'VaiaBot/1.0',
+});
+
+// www.example.com and example.com are the same site
+const getSiteHost = (url) => new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+
+// Read a response body as UTF-8 text, stopping after maxBytes (the rest is never downloaded)
+const readText = async (response, maxBytes) => {
+  if (!response.body) {
+    return '';
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let received = 0;
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return text + decoder.decode();
+    }
+    const chunk = value.subarray(0, maxBytes - received);
+    received += chunk.length;
+    text += decoder.decode(chunk, { stream: true });
+  }
+  await reader.cancel();
+  return text + decoder.decode();
+};
+
+export class CrawlerService {
+
+  /**
+   * Check if crawling is enabled (CRAWL_ENABLED, default true)
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return (process.env.CRAWL_ENABLED || 'true').trim().toLowerCase() !== 'false';
+  }
+
+  /**
+   * Turn the website stored in hotel_list into a crawlable URL
+   * @param {string} website - e.g. "grandhotel.com" or "https://www.grandhotel.com/en"
+   * @returns {string|null} Absolute http(s) URL, null when unusable
+   */
+  static normalizeWebsite(website) {
+    const value = String(website ?? '').trim();
+    if (!value) {
+      return null;
+    }
+
+    try {
+      const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+      url.hash = '';
+      return url.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a URL as text
+   * The body is read up to CRAWL_MAX_PAGE_BYTES, and not at all when the content type is not accepted.
+   * @param {string} url - URL to fetch
+   * @param {Object} settings - Crawl settings
+   * @param {Object} options - Optional: { contentTypes } pattern of accepted content types, null accepts any
+   * @returns {Promise<{status: number, url: string, contentType: string, body: string|null}>} Final URL after
+   *   redirects; body is null when the content type is not accepted
+   * @throws {Error} When the request fails or times out
+   */
+  static async fetchText(url, settings, { contentTypes = TEXT_CONTENT_TYPES } = {}) {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': settings.userAgent, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9' },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(settings.timeoutMs),
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    let body = null;
+    if (!contentTypes || contentTypes.test(contentType)) {
+      body = await readText(response, settings.maxPageBytes);
+    } else {
+      await response.body?.cancel();
+    }
+
+    return { status: response.status, url: response.url || url, contentType, body };
+  }
+
+  /**
+   * Load the robots.txt rules of a site
+   * A missing robots.txt (4xx) allows everything; an unreachable one (5xx, network error) allows nothing.
+   * @param {string} origin - Site origin, e.g. "https://grandhotel.com"
+   * @param {Object} settings - Crawl settings
+   * @returns {Promise<{isAllowed: function(string): boolean, crawlDelayMs: number|null}>}
+   */
+  static async getRobotsRules(origin, settings) {
+    try {
+      const response = await this.fetchText(`${origin}/robots.txt`, settings, { contentTypes: null });
+      if (response.status >= 200 && response.status < 300) {
+        return createRobotsRules(response.body, settings.userAgent);
+      }
+      return response.status >= 400 && response.status < 500 ? ALLOW_ALL : DISALLOW_ALL;
+    } catch (error) {
+      logger.warn(`⚠️  Could not read ${origin}/robots.txt, skipping site`, { error: error.message });
+      return DISALLOW_ALL;
+    }
+  }
+
+  /**
+   * Get the kind of a linked page from its URL and link text
+   * @param {{url: string, text: string}} link - Link from extractLinks
+   * @returns {string|null} Page kind from PAGE_KINDS, null when not worth crawling
+   */
+  static getPageKind(link) {
+    const { pathname } = new URL(link.url);
+    const match = PAGE_KINDS.find(({ pattern }) => pattern.test(pathname) || pattern.test(link.text));
+    return match ? match.kind : null;
+  }
+
+  /**
+   * Pick the linked pages to crawl: same site, known kind, highest priority kinds first
+   * @param {Array<{url: string, text: string}>} links - Links of the homepage
+   * @param {string} homepageUrl - Final homepage URL
+   * @param {number} maxCount - Number of pages to pick
+   * @returns {Array<{url: string, kind: string}>}
+   */
+  static selectLinks(links, homepageUrl, maxCount) {
+    const siteHost = getSiteHost(homepageUrl);
+    const kindOrder = PAGE_KINDS.map(({ kind }) => kind);
+    const homepage = new URL(homepageUrl);
+
+    return links
+      .filter(link => getSiteHost(link.url) === siteHost)
+      .filter(link => !SKIPPED_EXTENSIONS.test(new URL(link.url).pathname))
+      .filter(link => {
+        const url = new URL(link.url);
+        return url.pathname !== homepage.pathname || url.search !== homepage.search;
+      })
+      .map(link => ({ url: link.url, kind: this.getPageKind(link) }))
+      .filter(link => link.kind)
+      .sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind))
+      .slice(0, maxCount);
+  }
+
+  /**
+   * Crawl a hotel's official website: the homepage and a bounded set of linked pages
+   * (FAQ, amenities, policies, contact, ...), respecting robots.txt.
+   * @param {string} website - Website from hotel_list
+   * @returns {Promise<{startUrl: string, pages: Array<Object>, skipped: Array<{url: string, reason: string}>}|null>}
+   *   Crawled pages ({ url, kind, title, text, jsonLd }), null when the website is unusable
+   * @example
+   * const crawl = await CrawlerService.crawlSite('https://grandhotel.com');
+   * const hotelItems = CrawlerService.getSchemaItems(crawl, HOTEL_SCHEMA_TYPES);
+   */
+  static async crawlSite(website) {
+    const startUrl = this.normalizeWebsite(website);
+    if (!startUrl) {
+      return null;
+    }
+
+    const settings = getSettings();
+    const crawl = { startUrl, pages: [], skipped: [] };
+    const robotsByOrigin = new Map();
+
+    // Robots rules are loaded per origin, the homepage may redirect to another host
+    const isAllowed = async (url) => {
+      const { origin, pathname, search } = new URL(url);
+      if (!robotsByOrigin.has(origin)) {
+        robotsByOrigin.set(origin, await this.getRobotsRules(origin, settings));
+      }
+      return robotsByOrigin.get(origin).isAllowed(`${pathname}${search}`);
+    };
+
+    const crawlPage = async (url, kind) => {
+      if (!(await isAllowed(url))) {
+        crawl.skipped.push({ url, reason: 'disallowed by robots.txt' });
+        return null;
+      }
+
+      try {
+        const response = await this.fetchText(url, settings);
+        // A redirect to another host is only used when that host's robots.txt allows the final URL
+        if (new URL(response.url).origin !== new URL(url).origin && !(await isAllowed(response.url))) {
+          crawl.skipped.push({ url: response.url, reason: 'disallowed by robots.txt' });
+          return null;
+        }
+        if (response.status < 200 || response.status >= 300) {
+          crawl.skipped.push({ url, reason: `HTTP ${response.status}` });
+          return null;
+        }
+        if (response.body === null) {
+          crawl.skipped.push({ url, reason: `unsupported content type ${response.contentType || 'unknown'}` });
+          return null;
+        }
+
+        const page = {
+          url: response.url,
+          kind,
+          title: extractTitle(response.body),
+          text: extractText(response.body).slice(0, settings.maxPageChars),
+          jsonLd: extractJsonLd(response.body),
+        };
+        crawl.pages.push(page);
+        return { page, html: response.body };
+      } catch (error) {
+        crawl.skipped.push({ url, reason: error.message });
+        return null;
+      }
+    };
+
+    const homepage = await crawlPage(startUrl, 'home');
+    if (!homepage) {
+      return crawl;
+    }
+
+    const homepageOrigin = new URL(homepage.page.url).origin;
+    const crawlDelayMs = Math.min(robotsByOrigin.get(homepageOrigin)?.crawlDelayMs ?? 0, MAX_CRAWL_DELAY_MS);
+    const links = this.selectLinks(extractLinks(homepage.html, homepage.page.url), homepage.page.url, settings.maxPages - 1);
+
+    for (const link of links) {
+      if (crawlDelayMs > 0) {
+        await sleep(crawlDelayMs);
+      }
+      await crawlPage(link.url, link.kind);
+    }
+
+    return crawl;
+  }
+
+  /**
+   * Get the schema.org JSON-LD items of the given types from every crawled page
+   * @param {Object|null} crawl - Result of crawlSite
+   * @param {Array<string>} types - e.g. HOTEL_SCHEMA_TYPES
+   * @returns {Array<Object>} JSON-LD items
+   */
+  static getSchemaItems(crawl, types) {
+    return (crawl?.pages || []).flatMap(page => page.jsonLd.filter(item => hasSchemaType(item, types)));
+  }
+
+  /**
+   * Format crawled content for a prompt: hotel and FAQ JSON-LD first, then the text of each page
+   * @param {Object|null} crawl - Result of crawlSite
+   * @param {Object} options - Optional: { kinds } to only include some page kinds
+   * @returns {string} Prompt content, empty when nothing was crawled
+   */
+  static toPromptContent(crawl, { kinds = null } = {}) {
+    const maxChars = parseInt(process.env.CRAWL_MAX_CONTENT_CHARS || '40000', 10);
+    const pages = (crawl?.pages || []).filter(page => !kinds || kinds.includes(page.kind));
+    if (pages.length === 0) {
+      return '';
+    }
+
+    const sections = [];
+    const schemaItems = this.getSchemaItems({ pages }, [...HOTEL_SCHEMA_TYPES, ...FAQ_SCHEMA_TYPES]);
+    if (schemaItems.length > 0) {
+      sections.push(`Structured data (schema.org JSON-LD):\n${JSON.stringify(schemaItems)}`);
+    }
+    pages.forEach(page => {
+      sections.push(`Page: ${page.url}${page.title ? ` (${page.title})` : ''}\n${page.text}`);
+    });
+
+    return sections.join('\n\n').slice(0, maxChars);
+  }
+
+  /**
+   * Get the URLs of the crawled pages
+   * @param {Object|null} crawl - Result of crawlSite
+   * @returns {Array<string>}
+   */
+  static getPageUrls(crawl) {
+    return (crawl?.pages || []).map(page => page.url);
+  }
+}
@@ -0,0 +1,276 @@
+import 'dotenv/config';
+import { executeQuery } from '../config/database.js';
+import { MD_ALL_FIELDS, MD_PR_FIELDS, MD_CAT_FIELDS } from '../middleware/constants.js';
+import { MarketDataService } from './marketDataService.js';
+import { getNewestDate } from '../utils/http.js';
+import { logger } from '../utils/logger.js';
+
+// Get table names from environment variables, same defaults as the other services
+const MARKET_DATA_TABLE = process.env.MARKET_DATA_TABLE || 'market_data';
+const FAQ_TABLE = process.env.FAQ_TABLE || 'hotel_faq';
+
+// Hotels read per query, FAQs are loaded for a whole page at once
+const EXPORT_PAGE_SIZE = 200;
+
+const CSV_COLUMNS = ['hotel_uuid', ...MD_ALL_FIELDS.map(f => f.name), 'updated_at'];
+
+// Quote a CSV value when it contains a separator, quote or line break (RFC 4180)
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export class ExportService {
+
+  /**
+   * Get the section title of a field from its capture_description
+   * "Parking & transportation - Services, ..." becomes "Parking & transportation", "hotel name" becomes "Hotel name".
+   * @param {Object} field - Field from MD_ALL_FIELDS
+   * @returns {string}
+   */
+  static getSectionTitle(field) {
+    const [title] = field.capture_description.split(' - ');
+    return title.charAt(0).toUpperCase() + title.slice(1);
+  }
+
+  /**
+   * Get one page of market data rows of active hotels, oldest ID first
+   * With since, only hotels whose market data or FAQs changed at or after it (a soft-deleted FAQ counts).
+   * @param {Object} options
+   * @param {Date|null} options.since - Only hotels changed since this time
+   * @param {string|null} options.hotelUuid - Only this hotel
+   * @param {number} options.afterId - Market data ID of the last row of the previous page
+   * @returns {Promise<Array<Object>>} Market data rows with hotel_name and hotel_website from hotel_list
+   * @throws {Error} When database query fails
+   */
+  static async getMarketDataPage({ since = null, hotelUuid = null, afterId = 0 }) {
+    const conditions = ['md.is_deleted = 0', 'md.id > ?'];
+    const params = [afterId];
+    if (hotelUuid) {
+      conditions.push('md.hotel_uuid = ?');
+      params.push(hotelUuid);
+    }
+    if (since) {
+      conditions.push(`(md.updated_at >= ? OR md.hotel_uuid IN (SELECT hotel_uuid FROM ${FAQ_TABLE} WHERE updated_at >= ?))`);
+      params.push(since, since);
+    }
+
+    const query = `
+      SELECT md.*, h.name AS hotel_name, h.website AS hotel_website
+      FROM ${MARKET_DATA_TABLE} md
+      JOIN hotel_list h ON h.hotel_uuid = md.hotel_uuid AND h.is_deleted = 0
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY md.id ASC
+      LIMIT ${parseInt(EXPORT_PAGE_SIZE, 10)}
+    `;
+
+    try {
+      return await executeQuery(query, params);
+    } catch (error) {
+      logger.error('Error getting market data for export', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active FAQs of several hotels
+   * @param {Array<string>} hotelUuids - Hotel UUIDs
+   * @returns {Promise<Map<string, Array<Object>>>} hotel_uuid => FAQ rows ordered by first appearance
+   * @throws {Error} When database query fails
+   */
+  static async getFaqsByHotel(hotelUuids) {
+    const faqsByHotel = new Map();
+    if (hotelUuids.length === 0) {
+      return faqsByHotel;
+    }
+
+    const placeholders = hotelUuids.map(() => '?').join(', ');
+    const query = `
+      SELECT hotel_uuid, question, answer, question_hash, updated_at
+      FROM ${FAQ_TABLE}
+      WHERE hotel_uuid IN (${placeholders}) AND is_deleted = 0
+      ORDER BY id ASC
+    `;
+
+    try {
+      const rows = await executeQuery(query, hotelUuids);
+      rows.forEach(row => {
+        if (!faqsByHotel.has(row.hotel_uuid)) {
+          faqsByHotel.set(row.hotel_uuid, []);
+        }
+        faqsByHotel.get(row.hotel_uuid).push(row);
+      });
+      return faqsByHotel;
+    } catch (error) {
+      logger.error('Error getting FAQs for export', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the export document of a hotel
+   * Empty and "N/A" values are exported as null.
+   * @param {Object} row - Row from getMarketDataPage
+   * @param {Array<Object>} faqs - FAQ rows of the hotel
+   * @returns {Object} { hotel_uuid, name, website, updated_at, fields, faqs }
+   *   updated_at is the newest change of the market data or the FAQs
+   */
+  static buildHotelDocument(row, faqs = []) {
+    const fieldNames = MD_ALL_FIELDS.map(f => f.name);
+    const emptyFields = MarketDataService.getEmptyFields(row, fieldNames);
+
+    return {
+      hotel_uuid: row.hotel_uuid,
+      name: emptyFields.includes('name') ? row.hotel_name : row.name,
+      website: row.hotel_website ?? null,
+      updated_at: getNewestDate([row, ...faqs]),
+      fields: Object.fromEntries(fieldNames.map(fieldName => [fieldName, emptyFields.includes(fieldName) ? null : row[fieldName]])),
+      faqs: faqs.map(({ question, answer, question_hash }) => ({ question, answer, question_hash })),
+    };
+  }
+
+  /**
+   * Split a hotel document into retrieval chunks
+   * - overview: the primary fields, one "Title: value" line each
+   * - one chunk per category field with a value, titled after its capture_description
+   * - one chunk per FAQ, titled with the question
+   * @param {Object} document - Result of buildHotelDocument
+   * @returns {Array<{id: string, hotel_uuid: string, hotel_name: string, section: string, title: string, text: string, updated_at: Date|null}>}
+   * @example
+   * ExportService.buildKnowledgeChunks(document)[1];
+   * // { id: 'uuid-123:parking_transportation', section: 'parking_transportation', title: 'Parking & transportation', text: 'Valet ...', ... }
+   */
+  static buildKnowledgeChunks(document) {
+    const chunk = (id, section, title, text) => ({
+      id: `${document.hotel_uuid}:${id}`,
+      hotel_uuid: document.hotel_uuid,
+      hotel_name: document.name,
+      section,
+      title,
+      text,
+      updated_at: document.updated_at,
+    });
+    const chunks = [];
+
+    const overview = MD_PR_FIELDS
+      .filter(field => document.fields[field.name] !== null)
+      .map(field => `${this.getSectionTitle(field)}: ${document.fields[field.name]}`);
+    if (overview.length > 0) {
+      chunks.push(chunk('overview', 'overview', 'Overview', overview.join('\n')));
+    }
+
+    MD_CAT_FIELDS
+      .filter(field => document.fields[field.name] !== null)
+      .forEach(field => chunks.push(chunk(field.name, field.name, this.getSectionTitle(field), String(document.fields[field.name]))));
+
+    document.faqs.forEach(faq => {
+      chunks.push(chunk(`faq:${faq.question_hash.slice(0, 12)}`, 'faq', faq.question, faq.answer));
+    });
+
+    return chunks;
+  }
+
+  // CSV header line, columns from MD_ALL_FIELDS between hotel_uuid and updated_at
+  static toCsvHeader() {
+    return `${CSV_COLUMNS.join(',')}\r\n`;
+  }
+
+  // CSV line of a hotel document
+  static toCsvRow(document) {
+    const values = { ...document.fields, hotel_uuid: document.hotel_uuid, updated_at: document.updated_at };
+    return `${CSV_COLUMNS.map(column => toCsvValue(values[column])).join(',')}\r\n`;
+  }
+
+  /**
+   * Render the chunks of a hotel as Markdown: the hotel as H1, each chunk as an H2 section
+   * @param {Object} document - Result of buildHotelDocument
+   * @returns {string}
+   */
+  static toMarkdown(document) {
+    const lines = [
+      `# ${document.name}`,
+      '',
+      `<!-- hotel_uuid: ${document.hotel_uuid}; updated_at: ${document.updated_at?.toISOString() ?? 'unknown'} -->`,
+    ];
+    if (document.website) {
+      lines.push('', `Website: ${document.website}`);
+    }
+
+    let faqHeadingWritten = false;
+    this.buildKnowledgeChunks(document).forEach(({ section, title, text }) => {
+      if (section === 'faq' && !faqHeadingWritten) {
+        lines.push('', '## Frequently asked questions');
+        faqHeadingWritten = true;
+      }
+      lines.push('', section === 'faq' ? `### ${title}` : `## ${title}`, '', text);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Format one hotel document
+   * @param {Object} document - Result of buildHotelDocument
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {boolean} first - First document of the export (no separator before it)
+   * @returns {string}
+   */
+  static formatDocument(document, format, first) {
+    switch (format) {
+      case 'json':
+        return `${first ? '' : ',\n'}${JSON.stringify(document, null, 2)}`;
+      case 'csv':
+        return this.toCsvRow(document);
+      case 'jsonl':
+        return this.buildKnowledgeChunks(document).map(chunk => `${JSON.stringify(chunk)}\n`).join('');
+      case 'markdown':
+        return `${first ? '' : '\n---\n\n'}${this.toMarkdown(document)}`;
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  /**
+   * Export the market data and FAQs of every active hotel (or the changed ones)
+   * Hotels are read page by page, so the export size does not depend on memory.
+   * @param {Object} options
+   * @param {string} options.format - One of EXPORT_FORMATS
+   * @param {Date|null} options.since - Only hotels changed since this time
+   * @param {string|null} options.hotelUuid - Only this hotel
+   * @param {Function} write - async (text) => void, receives the output in order
+   * @returns {Promise<number>} Number of hotels exported
+   * @throws {Error} When database query or write fails
+   */
+  static async exportHotels({ format, since = null, hotelUuid = null }, write) {
+    if (format === 'json') {
+      await write('[\n');
+    } else if (format === 'csv') {
+      await write(this.toCsvHeader());
+    }
+
+    let count = 0;
+    let afterId = 0;
+    for (;;) {
+      const rows = await this.getMarketDataPage({ since, hotelUuid, afterId });
+      const faqsByHotel = await this.getFaqsByHotel(rows.map(row => row.hotel_uuid));
+      for (const row of rows) {
+        const document = this.buildHotelDocument(row, faqsByHotel.get(row.hotel_uuid) || []);
+        await write(this.formatDocument(document, format, count === 0));
+        count++;
+      }
+
+      if (rows.length < EXPORT_PAGE_SIZE) {
+        break;
+      }
+      afterId = rows[rows.length - 1].id;
+    }
+
+    if (format === 'json') {
+      await write(count > 0 ? '\n]\n' : ']\n');
+    }
+    return count;
+  }
+}
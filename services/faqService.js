@@ -0,0 +1,161 @@
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import { executeQuery } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'hotel_faq'
+const FAQ_TABLE = process.env.FAQ_TABLE || 'hotel_faq';
+
+export class FAQService {
+
+  /**
+   * Normalize a question so that trivially different wordings map to the same key
+   * Lowercases, strips punctuation and collapses whitespace
+   * @param {string} question - Raw question text
+   * @returns {string} Normalized question text
+   */
+  static normalizeQuestion(question) {
+    return String(question ?? '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build the de-duplication key stored in question_hash
+   * @param {string} question - Raw question text
+   * @returns {string} SHA-1 hex digest of the normalized question
+   */
+  static getQuestionHash(question) {
+    return createHash('sha1').update(this.normalizeQuestion(question)).digest('hex');
+  }
+
+  /**
+   * Clean raw FAQ pairs returned by the AI
+   * Drops pairs without a question or answer and keeps only the first pair per normalized question
+   * @param {Array<{question: string, answer: string}>} faqs - Raw FAQ pairs
+   * @returns {Array<{question: string, answer: string, question_hash: string}>} Unique FAQ pairs
+   */
+  static dedupeFaqs(faqs) {
+    const seen = new Set();
+    const uniqueFaqs = [];
+
+    (faqs || []).forEach(faq => {
+      const question = typeof faq?.question === 'string' ? faq.question.trim() : '';
+      const answer = typeof faq?.answer === 'string' ? faq.answer.trim() : '';
+      if (!question || !answer || answer === 'N/A') {
+        return;
+      }
+
+      const questionHash = this.getQuestionHash(question);
+      if (!this.normalizeQuestion(question) || seen.has(questionHash)) {
+        return;
+      }
+
+      seen.add(questionHash);
+      uniqueFaqs.push({ question, answer, question_hash: questionHash });
+    });
+
+    return uniqueFaqs;
+  }
+
+  /**
+   * Get active FAQs for a hotel
+   * @param {string} hotelUuid - The hotel UUID to search for
+   * @returns {Promise<Array<Object>>} FAQ rows ordered by first appearance
+   * @throws {Error} When database query fails
+   */
+  static async getFaqsByUuid(hotelUuid) {
+    const query = `
+      SELECT id, hotel_uuid, question, answer, first_seen_at, last_seen_at, updated_at
+      FROM ${FAQ_TABLE}
+      WHERE hotel_uuid = ? AND is_deleted = 0
+      ORDER BY id ASC
+    `;
+
+    try {
+      return await executeQuery(query, [hotelUuid]);
+    } catch (error) {
+      logger.error('Error getting FAQs by UUID', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Save the latest FAQ pairs for a hotel
+   * - New questions are inserted
+   * - Known questions get their answer refreshed and last_seen_at bumped
+   * - Previously deleted questions that reappear are restored
+   * - Active questions missing from the latest fetch are soft-deleted
+   * Nothing is changed when no usable pair is left after dedupeFaqs (e.g. every answer is "N/A"),
+   * so an empty response leaves stored FAQs untouched.
+   * @param {string} hotelUuid - The hotel UUID the FAQs belong to
+   * @param {Array<{question: string, answer: string}>} faqs - FAQ pairs returned by the AI
+   * @returns {Promise<{inserted: number, updated: number, deleted: number}>} Counts of affected FAQs
+   * @throws {Error} When database operation fails
+   * @example
+   * const { faqs } = await AIService.fetchHotelFAQ(hotel);
+   * const result = await FAQService.saveFaqs('uuid-123', faqs);
+   * console.log(`Inserted ${result.inserted}, updated ${result.updated}, deleted ${result.deleted}`);
+   */
+  static async saveFaqs(hotelUuid, faqs) {
+    const uniqueFaqs = this.dedupeFaqs(faqs);
+    const result = { inserted: 0, updated: 0, deleted: 0 };
+    if (uniqueFaqs.length === 0) {
+      logger.info('ℹ️  No usable FAQs in the response, stored FAQs left untouched');
+      return result;
+    }
+
+    try {
+      // Include soft-deleted rows so reappearing questions are restored instead of duplicated
+      const existingRows = await executeQuery(
+        `SELECT id, question_hash, is_deleted FROM ${FAQ_TABLE} WHERE hotel_uuid = ?`,
+        [hotelUuid]
+      );
+      const existingByHash = new Map(existingRows.map(row => [row.question_hash, row]));
+
+      for (const faq of uniqueFaqs) {
+        const existing = existingByHash.get(faq.question_hash);
+
+        if (existing) {
+          await executeQuery(
+            `UPDATE ${FAQ_TABLE}
+             SET question = ?, answer = ?, is_deleted = 0, last_seen_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [faq.question, faq.answer, existing.id]
+          );
+          result.updated++;
+        } else {
+          await executeQuery(
+            `INSERT INTO ${FAQ_TABLE} (hotel_uuid, question, answer, question_hash, first_seen_at, last_seen_at)
+             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+            [hotelUuid, faq.question, faq.answer, faq.question_hash]
+          );
+          result.inserted++;
+        }
+      }
+
+      // Soft-delete active questions that disappeared from the latest fetch
+      const latestHashes = new Set(uniqueFaqs.map(faq => faq.question_hash));
+      const staleIds = existingRows
+        .filter(row => row.is_deleted === 0 && !latestHashes.has(row.question_hash))
+        .map(row => row.id);
+
+      if (staleIds.length > 0) {
+        const placeholders = staleIds.map(() => '?').join(', ');
+        const deleteResult = await executeQuery(
+          `UPDATE ${FAQ_TABLE} SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`,
+          staleIds
+        );
+        result.deleted = deleteResult.affectedRows;
+      }
+
+      logger.info(`✅ FAQs saved. Inserted: ${result.inserted}, Updated: ${result.updated}, Deleted: ${result.deleted}`);
+      return result;
+    } catch (error) {
+      logger.error('Error saving FAQs', { error: error.message });
+      throw error;
+    }
+  }
+}
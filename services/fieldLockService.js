@@ -0,0 +1,111 @@
+import 'dotenv/config';
+import { executeQuery } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { MD_ALL_FIELDS } from '../middleware/constants.js';
+
+// Get table name from environment variable, default to 'market_data_field_locks'
+const FIELD_LOCK_TABLE = process.env.FIELD_LOCK_TABLE || 'market_data_field_locks';
+
+export class FieldLockService {
+
+  /**
+   * Get fields of a hotel that staff locked against bot updates
+   * @param {string} hotelUuid - The hotel UUID to search for
+   * @returns {Promise<Array<string>>} Locked field names
+   * @throws {Error} When database query fails
+   */
+  static async getLockedFields(hotelUuid) {
+    const query = `
+      SELECT field_name FROM ${FIELD_LOCK_TABLE}
+      WHERE hotel_uuid = ? AND is_deleted = 0
+    `;
+
+    try {
+      const rows = await executeQuery(query, [hotelUuid]);
+      return rows.map(row => row.field_name);
+    } catch (error) {
+      logger.error('Error getting locked fields', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get active locks of a hotel with who locked them and why
+   * @param {string} hotelUuid - The hotel UUID to search for
+   * @returns {Promise<Array<Object>>} Lock rows
+   * @throws {Error} When database query fails
+   */
+  static async getLocks(hotelUuid) {
+    const query = `
+      SELECT id, hotel_uuid, field_name, locked_by, reason, created_at, updated_at
+      FROM ${FIELD_LOCK_TABLE}
+      WHERE hotel_uuid = ? AND is_deleted = 0
+      ORDER BY field_name ASC
+    `;
+
+    try {
+      return await executeQuery(query, [hotelUuid]);
+    } catch (error) {
+      logger.error('Error getting field locks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a field so the bot never requests or writes it for this hotel
+   * Locking an already locked (or previously unlocked) field refreshes the lock.
+   * @param {string} hotelUuid - The hotel UUID
+   * @param {string} fieldName - Field from MD_ALL_FIELDS
+   * @param {Object} options - Optional: { lockedBy, reason }
+   * @returns {Promise<void>}
+   * @throws {Error} When the field is not in MD_ALL_FIELDS or database operation fails
+   * @example
+   * await FieldLockService.lockField('uuid-123', 'policies', { lockedBy: 'jane@vaia', reason: 'Hand-written by hotel' });
+   */
+  static async lockField(hotelUuid, fieldName, { lockedBy = null, reason = null } = {}) {
+    if (!MD_ALL_FIELDS.some(f => f.name === fieldName)) {
+      throw new Error(`Unknown field "${fieldName}", cannot lock it`);
+    }
+
+    const query = `
+      INSERT INTO ${FIELD_LOCK_TABLE} (hotel_uuid, field_name, locked_by, reason)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        locked_by = VALUES(locked_by),
+        reason = VALUES(reason),
+        is_deleted = 0,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    try {
+      await executeQuery(query, [hotelUuid, fieldName, lockedBy, reason]);
+      logger.info(`🔒 Locked ${fieldName} for ${hotelUuid}`);
+    } catch (error) {
+      logger.error('Error locking field', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock a field (soft delete of the lock)
+   * @param {string} hotelUuid - The hotel UUID
+   * @param {string} fieldName - Field from MD_ALL_FIELDS
+   * @returns {Promise<number>} Number of locks removed
+   * @throws {Error} When database operation fails
+   */
+  static async unlockField(hotelUuid, fieldName) {
+    const query = `
+      UPDATE ${FIELD_LOCK_TABLE} SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+      WHERE hotel_uuid = ? AND field_name = ? AND is_deleted = 0
+    `;
+
+    try {
+      const result = await executeQuery(query, [hotelUuid, fieldName]);
+      logger.info(`🔓 Unlocked ${fieldName} for ${hotelUuid}`);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error unlocking field', { error: error.message });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,179 @@
+import 'dotenv/config';
+import { executeQuery } from '../config/database.js';
+import { MD_ALL_FIELDS, DEFAULT_FIELD_MAX_AGE_DAYS } from '../middleware/constants.js';
+import { MarketDataService } from './marketDataService.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'market_data_field_status'
+const FIELD_STATUS_TABLE = process.env.FIELD_STATUS_TABLE || 'market_data_field_status';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Max age settings as last parsed, so checking a field does not parse them again (tests change them between cases)
+let cachedSettings = { rawValues: null, settings: null };
+
+export class FieldRefreshService {
+
+  /**
+   * Parse FIELD_MAX_AGE_DAYS overrides, e.g. "main_phone=90,policies=30"
+   * @param {string} rawValue - Raw environment value
+   * @returns {Object} Map of field name to max age in days
+   * @throws {Error} When an entry is not "field=days" with a whole number of days, or names an unknown field
+   */
+  static parseMaxAgeOverrides(rawValue = process.env.FIELD_MAX_AGE_DAYS || '') {
+    const overrides = {};
+
+    rawValue.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [fieldName, days, ...rest] = entry.split('=').map(part => part.trim());
+      if (!fieldName || !/^\d+$/.test(days || '') || rest.length > 0) {
+        throw new Error(`FIELD_MAX_AGE_DAYS has an invalid entry "${entry}" (expected field=days, e.g. main_phone=90)`);
+      }
+      if (!MD_ALL_FIELDS.some(f => f.name === fieldName)) {
+        throw new Error(`FIELD_MAX_AGE_DAYS has an unknown field "${fieldName}"`);
+      }
+      overrides[fieldName] = parseInt(days, 10);
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Parse DEFAULT_FIELD_MAX_AGE_DAYS
+   * @param {string} rawValue - Raw environment value
+   * @returns {number} Max age in days, DEFAULT_FIELD_MAX_AGE_DAYS from constants.js when empty
+   * @throws {Error} When the value is not a whole number of days
+   */
+  static parseDefaultMaxAge(rawValue = process.env.DEFAULT_FIELD_MAX_AGE_DAYS || '') {
+    const value = rawValue.trim();
+    if (!value) {
+      return DEFAULT_FIELD_MAX_AGE_DAYS;
+    }
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`DEFAULT_FIELD_MAX_AGE_DAYS must be a whole number of days, got "${rawValue}"`);
+    }
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Get FIELD_MAX_AGE_DAYS and DEFAULT_FIELD_MAX_AGE_DAYS, parsed on first use and again only when they change
+   * index.js calls it at startup, so an invalid value stops the start instead of the first incremental hotel.
+   * @returns {{overrides: Object, defaultDays: number}}
+   * @throws {Error} When either variable is invalid, see parseMaxAgeOverrides and parseDefaultMaxAge
+   */
+  static getMaxAgeSettings() {
+    const rawValues = `${process.env.FIELD_MAX_AGE_DAYS || ''}\n${process.env.DEFAULT_FIELD_MAX_AGE_DAYS || ''}`;
+    if (cachedSettings.rawValues !== rawValues) {
+      cachedSettings = {
+        rawValues,
+        settings: { overrides: this.parseMaxAgeOverrides(), defaultDays: this.parseDefaultMaxAge() },
+      };
+    }
+    return cachedSettings.settings;
+  }
+
+  /**
+   * Get max age in days for a field
+   * Priority: FIELD_MAX_AGE_DAYS override > max_age_days in constants.js > DEFAULT_FIELD_MAX_AGE_DAYS
+   * A max age of 0 refreshes the field on every incremental run.
+   * @param {string} fieldName - Field name from MD_ALL_FIELDS
+   * @returns {number} Max age in days
+   */
+  static getMaxAgeDays(fieldName) {
+    const { overrides, defaultDays } = this.getMaxAgeSettings();
+    if (fieldName in overrides) {
+      return overrides[fieldName];
+    }
+
+    const field = MD_ALL_FIELDS.find(f => f.name === fieldName);
+    if (field?.max_age_days != null) {
+      return field.max_age_days;
+    }
+
+    return defaultDays;
+  }
+
+  /**
+   * Get last-updated timestamps of every field of a hotel
+   * @param {string} hotelUuid - The hotel UUID to search for
+   * @returns {Promise<Object>} Map of field name to Date
+   * @throws {Error} When database query fails
+   */
+  static async getFieldTimestamps(hotelUuid) {
+    const query = `
+      SELECT field_name, last_updated_at FROM ${FIELD_STATUS_TABLE}
+      WHERE hotel_uuid = ?
+    `;
+
+    try {
+      const rows = await executeQuery(query, [hotelUuid]);
+      const timestamps = {};
+      rows.forEach(row => {
+        timestamps[row.field_name] = new Date(row.last_updated_at);
+      });
+      return timestamps;
+    } catch (error) {
+      logger.error('Error getting field timestamps', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the given fields were refreshed now
+   * @param {string} hotelUuid - The hotel UUID the fields belong to
+   * @param {Array<string>} fieldNames - Fields written in this run
+   * @returns {Promise<void>}
+   * @throws {Error} When database operation fails
+   */
+  static async touchFields(hotelUuid, fieldNames) {
+    if (!fieldNames || fieldNames.length === 0) {
+      return;
+    }
+
+    const placeholders = fieldNames.map(() => '(?, ?, CURRENT_TIMESTAMP)').join(', ');
+    const query = `
+      INSERT INTO ${FIELD_STATUS_TABLE} (hotel_uuid, field_name, last_updated_at)
+      VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE last_updated_at = VALUES(last_updated_at)
+    `;
+    const values = fieldNames.flatMap(fieldName => [hotelUuid, fieldName]);
+
+    try {
+      await executeQuery(query, values);
+    } catch (error) {
+      logger.error('Error updating field timestamps', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get fields that need to be fetched in incremental mode
+   * A field needs a refresh when it is empty in the stored row or older than its max age.
+   * Fields without their own timestamp fall back to the row's updated_at.
+   * @param {Object|null} existingData - Stored market data row
+   * @param {Object} timestamps - Map of field name to Date from getFieldTimestamps
+   * @param {Array<string>} fieldNames - Candidate field names
+   * @param {Date} now - Reference time, defaults to current time
+   * @returns {Array<string>} Field names to fetch
+   */
+  static getFieldsToRefresh(existingData, timestamps, fieldNames, now = new Date()) {
+    if (!existingData) {
+      return fieldNames;
+    }
+
+    const emptyFields = new Set(MarketDataService.getEmptyFields(existingData, fieldNames));
+    const rowUpdatedAt = existingData.updated_at ? new Date(existingData.updated_at) : null;
+
+    return fieldNames.filter(fieldName => {
+      if (emptyFields.has(fieldName)) {
+        return true;
+      }
+
+      const lastUpdatedAt = timestamps[fieldName] || rowUpdatedAt;
+      if (!lastUpdatedAt || Number.isNaN(lastUpdatedAt.getTime())) {
+        return true;
+      }
+
+      return now.getTime() - lastUpdatedAt.getTime() > this.getMaxAgeDays(fieldName) * DAY_MS;
+    });
+  }
+}
@@ -0,0 +1,149 @@
+import 'dotenv/config';
+import { executeQuery } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'market_data_history'
+const HISTORY_TABLE = process.env.HISTORY_TABLE || 'market_data_history';
+
+// Compare stored and new values as text, so 5 and '5' or null and '' are not reported as changes
+const toComparable = (value) => (value === null || value === undefined ? '' : String(value));
+
+export class HistoryService {
+
+  /**
+   * Get the field changes between a stored row and the data about to be written
+   * @param {Object|null} oldData - Stored row, null for inserts
+   * @param {Object} newData - Data about to be written (already filtered to valid fields)
+   * @returns {Array<{field_name: string, old_value: *, new_value: *}>} Changed fields
+   */
+  static diff(oldData, newData) {
+    return Object.keys(newData)
+      .filter(fieldName => fieldName !== 'hotel_uuid')
+      .filter(fieldName => toComparable(oldData?.[fieldName]) !== toComparable(newData[fieldName]))
+      .map(fieldName => ({
+        field_name: fieldName,
+        old_value: oldData?.[fieldName] ?? null,
+        new_value: newData[fieldName] ?? null,
+      }));
+  }
+
+  /**
+   * Append changes to the history table
+   * @param {Object} entry
+   * @param {string} entry.hotelUuid - Hotel the changes belong to
+   * @param {number} entry.marketDataId - ID of the market_data row
+   * @param {string|null} entry.runId - Run that made the changes (null for manual edits)
+   * @param {Array<{field_name: string, old_value: *, new_value: *}>} entry.changes - Result of diff()
+   * @returns {Promise<number>} Number of history rows written
+   * @throws {Error} When database insertion fails
+   */
+  static async recordChanges({ hotelUuid, marketDataId, runId = null, changes }) {
+    if (!changes || changes.length === 0) {
+      return 0;
+    }
+
+    const placeholders = changes.map(() => '(?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)').join(', ');
+    const query = `
+      INSERT INTO ${HISTORY_TABLE}
+        (hotel_uuid, market_data_id, field_name, old_value, new_value, run_id, changed_at)
+      VALUES ${placeholders}
+    `;
+    const values = changes.flatMap(change => [
+      hotelUuid,
+      marketDataId,
+      change.field_name,
+      change.old_value === null ? null : String(change.old_value),
+      change.new_value === null ? null : String(change.new_value),
+      runId,
+    ]);
+
+    try {
+      await executeQuery(query, values);
+      return changes.length;
+    } catch (error) {
+      logger.error('Error recording market data history', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List changes made to a hotel, newest first
+   * @param {string} hotelUuid - The hotel UUID to search for
+   * @param {Object} options - Optional: { field, limit }
+   * @returns {Promise<Array<Object>>} History rows
+   * @throws {Error} When database query fails
+   * @example
+   * const changes = await HistoryService.getHistoryByHotel('uuid-123', { field: 'policies', limit: 20 });
+   */
+  static async getHistoryByHotel(hotelUuid, { field = null, limit = 100 } = {}) {
+    const conditions = ['hotel_uuid = ?'];
+    const params = [hotelUuid];
+    if (field) {
+      conditions.push('field_name = ?');
+      params.push(field);
+    }
+
+    const query = `
+      SELECT id, hotel_uuid, market_data_id, field_name, old_value, new_value, run_id, changed_at
+      FROM ${HISTORY_TABLE}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY changed_at DESC, id DESC
+      LIMIT ${parseInt(limit, 10)}
+    `;
+
+    try {
+      return await executeQuery(query, params);
+    } catch (error) {
+      logger.error('Error getting history by hotel', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List changes made by a run, grouped in write order
+   * @param {string} runId - Run ID
+   * @returns {Promise<Array<Object>>} History rows
+   * @throws {Error} When database query fails
+   */
+  static async getHistoryByRun(runId) {
+    const query = `
+      SELECT id, hotel_uuid, market_data_id, field_name, old_value, new_value, run_id, changed_at
+      FROM ${HISTORY_TABLE}
+      WHERE run_id = ?
+      ORDER BY hotel_uuid ASC, id ASC
+    `;
+
+    try {
+      return await executeQuery(query, [runId]);
+    } catch (error) {
+      logger.error('Error getting history by run', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the values a run replaced, ready to be written back to roll the run back
+   * Uses the oldest change per field, so fields changed twice in one run return their pre-run value.
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Map of market_data_id to { field_name: old_value }
+   * @throws {Error} When database query fails
+   * @example
+   * const rollback = await HistoryService.getRollbackData(runId);
+   * for (const [id, data] of Object.entries(rollback)) {
+   *   await MarketDataService.updateMarketData(Number(id), data);
+   * }
+   */
+  static async getRollbackData(runId) {
+    const changes = await this.getHistoryByRun(runId);
+    const rollback = {};
+
+    changes.forEach(change => {
+      rollback[change.market_data_id] = rollback[change.market_data_id] || {};
+      if (!(change.field_name in rollback[change.market_data_id])) {
+        rollback[change.market_data_id][change.field_name] = change.old_value;
+      }
+    });
+
+    return rollback;
+  }
+}
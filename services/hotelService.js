@@ -1,22 +1,32 @@
 import { executeQuery } from '../config/database.js';
+import { logger } from '../utils/logger.js';
 
+// website, city and address identify the property for prompts and the identity check
 export class HotelService {
   
   // Get all active hotels from hotel_list table
-  static async getActiveHotels() {
+  // @param {Object} options - Optional: { limit, offset } for partial batches
+  static async getActiveHotels({ limit = null, offset = 0 } = {}) {
+    // LIMIT/OFFSET are validated as integers by the caller, parseInt here is an extra guard (see executeQuery)
+    let pagination = '';
+    if (limit !== null && limit !== undefined) {
+      pagination = `LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset || 0, 10)}`;
+    } else if (offset) {
+      pagination = `LIMIT 18446744073709551615 OFFSET ${parseInt(offset, 10)}`;
+    }
+
     const query = `
-      SELECT id, hotel_uuid, name 
+      SELECT id, hotel_uuid, name, website, city, address
       FROM hotel_list 
       WHERE is_deleted = 0 
       ORDER BY id ASC
+      ${pagination}
     `;
     
     try {
-      const hotels = await executeQuery(query);
-      console.log(`📋 Found ${hotels.length} active hotels to process`);
-      return hotels;
+      return await executeQuery(query);
     } catch (error) {
-      console.error('Error fetching hotels:', error.message);
+      logger.error('Error fetching hotels', { error: error.message });
       throw error;
     }
   }
@@ -24,7 +34,7 @@ export class HotelService {
   // Get hotel by UUID
   static async getHotelByUuid(hotelUuid) {
     const query = `
-      SELECT id, hotel_uuid, name 
+      SELECT id, hotel_uuid, name, website, city, address
       FROM hotel_list 
       WHERE hotel_uuid = ? AND is_deleted = 0
     `;
@@ -33,7 +43,7 @@ export class HotelService {
       const [hotel] = await executeQuery(query, [hotelUuid]);
       return hotel;
     } catch (error) {
-      console.error('Error fetching hotel by UUID:', error.message);
+      logger.error('Error fetching hotel by UUID', { error: error.message });
       throw error;
     }
   }
@@ -0,0 +1,80 @@
+import { ValidationService } from './validationService.js';
+
+// Words shared by too many hotels to tell properties apart
+const GENERIC_NAME_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'by', 'at', 'of', 'on', 'in',
+  'hotel', 'hotels', 'inn', 'suites', 'suite', 'resort', 'spa', 'lodge', 'motel',
+]);
+
+// Share of the known name's distinctive words the returned name must contain
+const NAME_MATCH_RATIO = 0.75;
+// Share of the known street address words the returned address must contain
+const ADDRESS_MATCH_RATIO = 0.5;
+
+const toWords = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+const getMatchRatio = (expectedWords, actualWords) => {
+  if (expectedWords.length === 0) {
+    return 1;
+  }
+  const actual = new Set(actualWords);
+  return expectedWords.filter(word => actual.has(word)).length / expectedWords.length;
+};
+
+export class IdentityService {
+
+  /**
+   * Check that fetched data describes the known hotel and not another property of the same chain
+   * Only fields that were returned and are known from hotel_list are compared.
+   * @param {Object} hotel - Hotel from hotel_list ({ name, city, address })
+   * @param {Object} data - Fetched (validated) market data
+   * @returns {Array<{field: string, expected: string, actual: string, reason: string}>} Mismatches, empty when consistent
+   * @example
+   * const mismatches = IdentityService.checkIdentity(
+   *   { name: 'Hampton Inn Austin Downtown', city: 'Austin' },
+   *   { name: 'Hampton Inn Dallas Uptown', city_state_country: 'Dallas, TX, USA' }
+   * );
+   * // => [{ field: 'name', ... }, { field: 'city_state_country', ... }]
+   */
+  static checkIdentity(hotel, data) {
+    const mismatches = [];
+    const returned = (fieldName) => (ValidationService.isPlaceholder(data?.[fieldName]) ? null : String(data[fieldName]));
+
+    const returnedName = returned('name');
+    if (hotel.name && returnedName) {
+      const expectedWords = toWords(hotel.name).filter(word => !GENERIC_NAME_WORDS.has(word));
+      if (getMatchRatio(expectedWords, toWords(returnedName)) < NAME_MATCH_RATIO) {
+        mismatches.push({ field: 'name', expected: hotel.name, actual: returnedName, reason: 'name does not match the known hotel' });
+      }
+    }
+
+    // The known city must appear in the returned location or address
+    const returnedLocation = [returned('city_state_country'), returned('address')].filter(Boolean).join(' ');
+    if (hotel.city && returnedLocation) {
+      const cityWords = toWords(hotel.city);
+      if (getMatchRatio(cityWords, toWords(returnedLocation)) < 1) {
+        const field = returned('city_state_country') ? 'city_state_country' : 'address';
+        mismatches.push({ field, expected: hotel.city, actual: returned(field), reason: 'location is not in the known city' });
+      }
+    }
+
+    const returnedAddress = returned('address');
+    if (hotel.address && returnedAddress) {
+      const expectedWords = toWords(hotel.address);
+      const actualWords = toWords(returnedAddress);
+      const expectedNumber = expectedWords.find(word => /^\d+$/.test(word));
+      const actualNumber = actualWords.find(word => /^\d+$/.test(word));
+      const numberDiffers = expectedNumber && actualNumber && expectedNumber !== actualNumber;
+      if (numberDiffers || getMatchRatio(expectedWords, actualWords) < ADDRESS_MATCH_RATIO) {
+        mismatches.push({ field: 'address', expected: hotel.address, actual: returnedAddress, reason: 'address does not match the known address' });
+      }
+    }
+
+    return mismatches;
+  }
+}
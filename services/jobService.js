@@ -0,0 +1,175 @@
+import 'dotenv/config';
+import { randomUUID } from 'crypto';
+import { executeQuery } from '../config/database.js';
+import { parseJson } from '../utils/json.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'refresh_jobs'
+const REFRESH_JOBS_TABLE = process.env.REFRESH_JOBS_TABLE || 'refresh_jobs';
+
+// Statuses: queued -> running -> done | failed
+// Coalescing relies on a unique key over queued_hotel_uuid, a stored generated column that is
+// hotel_uuid while the job is queued and NULL afterwards, so a hotel has at most one queued job.
+
+const toJob = (row) => row && {
+  ...row,
+  fields: parseJson(row.fields, null),
+  result: parseJson(row.result, null),
+};
+
+export class JobService {
+
+  /**
+   * Merge the field lists of two refresh requests, null means all fields
+   * @param {Array<string>|null} a - Fields of the first request
+   * @param {Array<string>|null} b - Fields of the second request
+   * @returns {Array<string>|null}
+   */
+  static mergeFields(a, b) {
+    if (!a || !b) {
+      return null;
+    }
+    return [...new Set([...a, ...b])];
+  }
+
+  /**
+   * Queue a refresh of one hotel
+   * A job still queued for the same hotel absorbs the request (its field list is widened), a running
+   * job does not since it may have read the hotel before the request was made.
+   * @param {string} hotelUuid - The hotel UUID to refresh
+   * @param {Object} options - Optional: { fields, requestedBy } - fields null refreshes all fields
+   * @returns {Promise<{job: Object, coalesced: boolean}>} The queued job, coalesced when it already existed
+   * @throws {Error} When database operation fails
+   * @example
+   * const { job, coalesced } = await JobService.enqueue('uuid-123', { fields: ['main_phone'], requestedBy: 'jane@vaia' });
+   */
+  static async enqueue(hotelUuid, { fields = null, requestedBy = null } = {}) {
+    // id = LAST_INSERT_ID(id) makes insertId the existing job on a duplicate; bumping coalesced_count
+    // makes affectedRows 2 for a duplicate whatever the connection's FOUND_ROWS flag
+    const insertQuery = `
+      INSERT INTO ${REFRESH_JOBS_TABLE} (hotel_uuid, fields, status, requested_by)
+      VALUES (?, ?, 'queued', ?)
+      ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), coalesced_count = coalesced_count + 1, updated_at = CURRENT_TIMESTAMP
+    `;
+    const mergeQuery = `
+      UPDATE ${REFRESH_JOBS_TABLE} SET fields = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'queued'
+    `;
+
+    try {
+      // Two tries: a worker can claim the existing job between the insert and the merge
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        const inserted = await executeQuery(insertQuery, [hotelUuid, fields ? JSON.stringify(fields) : null, requestedBy]);
+        if (inserted.affectedRows === 1) {
+          logger.info(`📥 Queued refresh job ${inserted.insertId} for ${hotelUuid}`);
+          return { job: await this.getJob(inserted.insertId), coalesced: false };
+        }
+
+        const existing = await this.getJob(inserted.insertId);
+        const mergedFields = this.mergeFields(existing.fields, fields);
+        const updated = await executeQuery(mergeQuery, [mergedFields ? JSON.stringify(mergedFields) : null, existing.id]);
+        if (updated.affectedRows > 0) {
+          logger.info(`📥 Coalesced refresh of ${hotelUuid} into queued job ${existing.id}`);
+          return { job: await this.getJob(existing.id), coalesced: true };
+        }
+      }
+      throw new Error(`Could not queue a refresh job for ${hotelUuid}`);
+    } catch (error) {
+      logger.error('Error queueing refresh job', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Job with parsed fields and result, null if not found
+   * @throws {Error} When database query fails
+   */
+  static async getJob(id) {
+    const query = `SELECT * FROM ${REFRESH_JOBS_TABLE} WHERE id = ?`;
+
+    try {
+      const [row] = await executeQuery(query, [id]);
+      return toJob(row) || null;
+    } catch (error) {
+      logger.error('Error getting refresh job', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the oldest queued job for a worker
+   * The UPDATE is atomic, so two workers never claim the same job.
+   * @param {string} workerId - Worker name, stored with the job
+   * @returns {Promise<Object|null>} The claimed job, null when the queue is empty
+   * @throws {Error} When database operation fails
+   */
+  static async claimNext(workerId) {
+    const claimToken = randomUUID();
+    const claimQuery = `
+      UPDATE ${REFRESH_JOBS_TABLE}
+      SET status = 'running', claim_token = ?, worker_id = ?, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'queued'
+      ORDER BY id ASC
+      LIMIT 1
+    `;
+
+    try {
+      const claimed = await executeQuery(claimQuery, [claimToken, workerId]);
+      if (claimed.affectedRows === 0) {
+        return null;
+      }
+      const [row] = await executeQuery(`SELECT * FROM ${REFRESH_JOBS_TABLE} WHERE claim_token = ?`, [claimToken]);
+      return toJob(row) || null;
+    } catch (error) {
+      logger.error('Error claiming refresh job', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the outcome of a running job
+   * @param {number} id - Job ID
+   * @param {string} status - done or failed
+   * @param {Object} outcome - Optional: { runId, result, error } - result is a summary of processHotelWithRetry
+   * @returns {Promise<void>}
+   * @throws {Error} When database update fails
+   */
+  static async finishJob(id, status, { runId = null, result = null, error = null } = {}) {
+    const query = `
+      UPDATE ${REFRESH_JOBS_TABLE}
+      SET status = ?, run_id = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'running'
+    `;
+
+    try {
+      await executeQuery(query, [status, runId, result ? JSON.stringify(result) : null, error, id]);
+    } catch (dbError) {
+      logger.error('Error finishing refresh job', { error: dbError.message });
+      throw dbError;
+    }
+  }
+
+  /**
+   * Fail jobs left running by a worker that died
+   * @param {number} staleMinutes - Jobs running longer than this are considered abandoned
+   * @returns {Promise<number>} Number of jobs failed
+   * @throws {Error} When database update fails
+   */
+  static async failStaleJobs(staleMinutes) {
+    const query = `
+      UPDATE ${REFRESH_JOBS_TABLE}
+      SET status = 'failed', error = 'Worker stopped before finishing the job', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND started_at < NOW() - INTERVAL ? MINUTE
+    `;
+
+    try {
+      const updated = await executeQuery(query, [parseInt(staleMinutes, 10)]);
+      return updated.affectedRows;
+    } catch (error) {
+      logger.error('Error failing stale refresh jobs', { error: error.message });
+      throw error;
+    }
+  }
+}
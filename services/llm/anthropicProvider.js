@@ -0,0 +1,99 @@
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Provider for Anthropic-compatible Messages APIs (POST {baseURL}/v1/messages, streamed as SSE)
+ */
+export class AnthropicProvider {
+
+  /**
+   * @param {Object} config - Result of getProviderConfig
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.model = config.model;
+    this.apiKey = config.apiKey;
+    this.baseURL = config.baseURL.replace(/\/+$/, '');
+  }
+
+  /**
+   * Run a prompt and stream the answer
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {number} request.maxTokens - Max tokens for the completion
+   * @param {Function} request.onText - Optional: called with each streamed text chunk
+   * @returns {Promise<{text: string, citations: Array<string>, usage: Object|null, provider: string, model: string}>}
+   * @throws {Error} With status and headers (plain object) on HTTP errors, like openai errors
+   */
+  async complete({ prompt, maxTokens, onText }) {
+    const response = await fetch(`${this.baseURL}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey || '',
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+        stream: true,
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`${this.name} API error ${response.status}: ${body.slice(0, 500)}`);
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers.entries());
+      throw error;
+    }
+
+    let text = '';
+    const usage = { prompt_tokens: 0, completion_tokens: 0 };
+    for await (const event of this.readEvents(response.body)) {
+      if (event.type === 'message_start') {
+        usage.prompt_tokens = event.message?.usage?.input_tokens || 0;
+      } else if (event.type === 'message_delta') {
+        usage.completion_tokens = event.usage?.output_tokens || usage.completion_tokens;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onText?.(event.delta.text);
+      } else if (event.type === 'error') {
+        throw new Error(`${this.name} stream error: ${event.error?.message || 'unknown error'}`);
+      }
+    }
+
+    // Plain Messages API calls do not search the web, so there are no citations
+    return { text, citations: [], usage, provider: this.name, model: this.model };
+  }
+
+  /**
+   * Parse server-sent events into JSON objects
+   * Lines may end with \r\n, \r or \n (all valid in SSE), they are normalized to \n first.
+   * @param {ReadableStream} body - Response body
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      // A \r at the end of the buffer may be the first half of \r\n, it is normalized with the next chunk
+      buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n|\r(?!$)/g, '\n');
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, separatorIndex);
+        buffer = buffer.slice(separatorIndex + 2);
+
+        const data = rawEvent
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('');
+        if (data) {
+          yield JSON.parse(data);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import { getProviderConfig } from '../../config/llm.js';
+import { TokenBucket } from '../../utils/rateLimiter.js';
+import { OpenAICompatibleProvider } from './openAICompatibleProvider.js';
+import { AnthropicProvider } from './anthropicProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+// Provider interface:
+//   provider.name          - provider name from LLM_PROVIDERS
+//   provider.model         - model used for completions
+//   provider.rateLimiter   - TokenBucket shared by every caller of this provider
+//   provider.complete({ task, prompt, fields, hotelName, maxTokens, onText })
+//     => Promise<{ text, citations, usage, provider, model }>
+//        citations: source URLs, may be empty
+//        usage: { prompt_tokens, completion_tokens } or null when the server does not report it
+//   HTTP errors must expose status and headers (plain object) so AIService can back off.
+const PROVIDER_CLASSES = {
+  openai: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider,
+};
+
+// One instance per provider name, so concurrent workers share its rate limiter
+const providerCache = new Map();
+
+/**
+ * Get the provider instance for a name, creating it on first use
+ * @param {string} name - Provider name, a key of LLM_PROVIDERS
+ * @returns {Object} Provider instance
+ * @throws {Error} When the provider is unknown
+ */
+export function getProvider(name) {
+  if (providerCache.has(name)) {
+    return providerCache.get(name);
+  }
+
+  const config = getProviderConfig(name);
+  const ProviderClass = PROVIDER_CLASSES[config.type];
+  const provider = new ProviderClass(config);
+  provider.config = config;
+  provider.rateLimiter = new TokenBucket({
+    capacity: config.rateLimitBurst,
+    refillPerMinute: config.rateLimitPerMinute,
+  });
+
+  providerCache.set(name, provider);
+  return provider;
+}
+
@@ -0,0 +1,63 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Offline provider returning canned responses
+ * By default every requested field gets a "Mock ..." value and FAQs get two sample pairs.
+ * Set MOCK_LLM_RESPONSES to a JSON file to control the answers:
+ * { "market_data": { "<field>": "<value>" }, "faq": [{ "question": "...", "answer": "..." }], "citations": ["<url>"] }
+ */
+export class MockProvider {
+
+  /**
+   * @param {Object} config - Result of getProviderConfig
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.model = config.model;
+    this.responsesFile = process.env.MOCK_LLM_RESPONSES || null;
+  }
+
+  // Load fixture responses, re-read on every call so tests can swap the file
+  loadResponses() {
+    if (!this.responsesFile) {
+      return {};
+    }
+    return JSON.parse(readFileSync(this.responsesFile, 'utf8'));
+  }
+
+  /**
+   * Return a canned answer for the request
+   * @param {Object} request
+   * @param {string} request.task - 'market_data' or 'faq'
+   * @param {Array<string>} request.fields - Requested fields (market_data task)
+   * @param {string} request.hotelName - Hotel the prompt is about
+   * @param {Function} request.onText - Optional: called with the full answer
+   * @returns {Promise<{text: string, citations: Array<string>, usage: Object, provider: string, model: string}>}
+   */
+  async complete({ task, prompt, fields = [], hotelName, onText }) {
+    const responses = this.loadResponses();
+    let answer;
+
+    if (task === 'faq') {
+      answer = responses.faq ?? [
+        { question: `What time is check-in at ${hotelName}?`, answer: 'Check-in is from 3:00 PM.' },
+        { question: `Is parking available at ${hotelName}?`, answer: 'Yes, on-site parking is available.' },
+      ];
+    } else {
+      const fixture = responses.market_data ?? {};
+      answer = {};
+      fields.forEach(fieldName => {
+        answer[fieldName] = fixture[fieldName] ?? `Mock ${fieldName} for ${hotelName}`;
+      });
+    }
+
+    const text = JSON.stringify(answer, null, 2);
+    onText?.(text);
+    // Rough estimate (4 characters per token) so usage accounting can be exercised offline
+    const usage = {
+      prompt_tokens: Math.ceil((prompt || '').length / 4),
+      completion_tokens: Math.ceil(text.length / 4),
+    };
+    return { text, citations: responses.citations ?? [], usage, provider: this.name, model: this.model };
+  }
+}
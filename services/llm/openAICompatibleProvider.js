@@ -0,0 +1,65 @@
+import OpenAI from "openai";
+
+/**
+ * Provider for OpenAI-compatible chat completion APIs (Perplexity, OpenAI, Ollama, llama.cpp server)
+ */
+export class OpenAICompatibleProvider {
+
+  /**
+   * @param {Object} config - Result of getProviderConfig
+   * @param {Object} client - Optional: preconfigured OpenAI client (e.g. for tests)
+   */
+  constructor(config, client = null) {
+    this.name = config.name;
+    this.model = config.model;
+    this.streamUsage = config.streamUsage;
+    this.client = client || new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+      // Retries are handled by AIService so they share the rate limiter
+      maxRetries: 0,
+    });
+  }
+
+  /**
+   * Run a prompt and stream the answer
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {number} request.maxTokens - Max tokens for the completion
+   * @param {Function} request.onText - Optional: called with each streamed text chunk
+   * @returns {Promise<{text: string, citations: Array<string>, usage: Object|null, provider: string, model: string}>}
+   */
+  async complete({ prompt, maxTokens, onText }) {
+    const completions = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: "user", content: prompt }],
+      max_tokens: maxTokens,
+      stream: true,
+      ...(this.streamUsage ? { stream_options: { include_usage: true } } : {}),
+    });
+
+    let text = "";
+    let citations = [];
+    let usage = null;
+    for await (const part of completions) {
+      // Usage arrives with the last chunk (or with every chunk on Perplexity), keep the latest
+      if (part.usage) {
+        usage = {
+          prompt_tokens: part.usage.prompt_tokens || 0,
+          completion_tokens: part.usage.completion_tokens || 0,
+        };
+      }
+
+      const content = part.choices[0]?.delta?.content || "";
+      text += content;
+      onText?.(content);
+
+      // Perplexity sends the source URLs with the chunks; other servers never set this field
+      if (Array.isArray(part.citations) && part.citations.length > 0) {
+        citations = part.citations;
+      }
+    }
+
+    return { text, citations, usage, provider: this.name, model: this.model };
+  }
+}
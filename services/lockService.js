@@ -0,0 +1,54 @@
+import { getConnection } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// MySQL named locks (GET_LOCK) so several instances never run the same batch at once.
+// A named lock belongs to the connection that took it, so the connection is held until release;
+// if the process dies, MySQL drops the connection and the lock with it.
+
+// Keeps the lock connection from hitting wait_timeout during long runs
+const KEEPALIVE_INTERVAL_MS = 60000;
+
+export class LockService {
+
+  /**
+   * Try to take a named lock without waiting
+   * @param {string} name - Lock name, shared by every instance
+   * @returns {Promise<Function|null>} Async release function, null when another instance holds the lock
+   * @throws {Error} When the database is unreachable
+   * @example
+   * const release = await LockService.acquire('vaia_batch_run');
+   * if (release) {
+   *   try { await runBatch(); } finally { await release(); }
+   * }
+   */
+  static async acquire(name) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS locked', [name]);
+      if (Number(rows[0]?.locked) !== 1) {
+        connection.release();
+        return null;
+      }
+    } catch (error) {
+      connection.release();
+      logger.error('Error acquiring lock', { error: error.message });
+      throw error;
+    }
+
+    const keepalive = setInterval(() => {
+      connection.query('SELECT 1').catch(error => logger.warn('⚠️  Lock connection keepalive failed', { error: error.message }));
+    }, KEEPALIVE_INTERVAL_MS);
+    keepalive.unref();
+
+    return async () => {
+      clearInterval(keepalive);
+      try {
+        await connection.query('SELECT RELEASE_LOCK(?)', [name]);
+      } catch (error) {
+        logger.warn('⚠️  Could not release lock', { error: error.message });
+      } finally {
+        connection.release();
+      }
+    };
+  }
+}
@@ -1,6 +1,9 @@
 import 'dotenv/config';
-import { executeQuery } from '../config/database.js';
+import { executeQuery, withTransaction } from '../config/database.js';
 import { MD_ALL_FIELDS, BOOLEAN_FIELDS } from '../middleware/constants.js';
+import { HistoryService } from './historyService.js';
+import { FieldLockService } from './fieldLockService.js';
+import { logger } from '../utils/logger.js';
 
 // Get table name from environment variable, default to 'market_data'
 const MARKET_DATA_TABLE = process.env.MARKET_DATA_TABLE || 'market_data';
@@ -80,11 +83,32 @@ export class MarketDataService {
       const [result] = await executeQuery(query, [hotelUuid]);
       return result ? result.id : 0;
     } catch (error) {
-      console.error('Error getting market data ID by UUID:', error.message);
+      logger.error('Error getting market data ID by UUID', { error: error.message });
       return 0;
     }
   }
 
+  /**
+   * Get market data row by ID
+   * @param {number} id - The database ID of the market data record
+   * @returns {Promise<Object|null>} The market data object or null if not found
+   * @throws {Error} When database query fails
+   */
+  static async getMarketDataById(id) {
+    const query = `
+      SELECT * FROM ${MARKET_DATA_TABLE} 
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await executeQuery(query, [id]);
+      return result || null;
+    } catch (error) {
+      logger.error('Error getting market data by ID', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get existing market data by hotel_uuid
    * @param {string} hotelUuid - The hotel UUID to search for
@@ -101,8 +125,8 @@ export class MarketDataService {
       const [result] = await executeQuery(query, [hotelUuid]);
       return result;
     } catch (error) {
-      console.error('Error getting market data by UUID:', error.message);
-      return null;
+      logger.error('Error getting market data by UUID', { error: error.message });
+      throw error;
     }
   }
 
@@ -148,14 +172,20 @@ export class MarketDataService {
   /**
    * Filter data object to only include fields that are in MD_ALL_FIELDS
    * Prevents SQL crashes from invalid field names
+   * Locked fields are dropped too, so manually curated values are never overwritten
    * @param {Object} data - Data object to filter
+   * @param {Array<string>} lockedFields - Optional: fields locked by staff for this hotel
    * @returns {Object} Filtered data object containing only valid fields
    */
-  static filterValidFields(data) {
+  static filterValidFields(data, lockedFields = []) {
     const validFieldNames = new Set(MD_ALL_FIELDS.map(f => f.name));
+    const lockedFieldNames = new Set(lockedFields);
     const filteredData = {};
     
     Object.keys(data).forEach(key => {
+      if (lockedFieldNames.has(key)) {
+        return;
+      }
       if (validFieldNames.has(key) || key === 'hotel_uuid') {
         filteredData[key] = data[key];
       }
@@ -168,6 +198,8 @@ export class MarketDataService {
    * Insert new market data into the database
    * @param {Object} data - Market data object containing hotel information (can be partial)
    * @param {string} data.hotel_uuid - Unique identifier for the hotel
+   * @param {Object} options - Optional: { runId } recorded with the change history,
+   *   { lockedFields } of the hotel when the caller already read them (looked up otherwise)
    * @returns {Promise<number>} The insert ID of the newly created market data record
    * @throws {Error} When database insertion fails
    * @example
@@ -181,9 +213,10 @@ export class MarketDataService {
    * const insertId = await MarketDataService.insertMarketData(marketData);
    * console.log(`Market data inserted with ID: ${insertId}`);
    */
-  static async insertMarketData(data) {
-    // Filter out invalid fields first
-    const filteredData = this.filterValidFields(data);
+  static async insertMarketData(data, { runId = null, lockedFields = null } = {}) {
+    // Filter out invalid and locked fields first
+    lockedFields ??= data.hotel_uuid ? await FieldLockService.getLockedFields(data.hotel_uuid) : [];
+    const filteredData = this.filterValidFields(data, lockedFields);
     
     // Convert boolean values before processing
     const fineData = this.convertBooleanValues(filteredData);
@@ -208,11 +241,22 @@ export class MarketDataService {
     });
     
     try {
-      const result = await executeQuery(query, values);
-      console.log(`✅ Market data inserted successfully. ID: ${result.insertId}`);
+      // The row and its change history are committed together
+      const result = await withTransaction(async () => {
+        const inserted = await executeQuery(query, values);
+        await HistoryService.recordChanges({
+          hotelUuid: fineData.hotel_uuid,
+          marketDataId: inserted.insertId,
+          runId,
+          changes: HistoryService.diff(null, fineData),
+        });
+        return inserted;
+      });
+      logger.info(`✅ Market data inserted successfully. ID: ${result.insertId}`);
+
       return result.insertId;
     } catch (error) {
-      console.error('Error inserting market data:', error.message);
+      logger.error('Error inserting market data', { error: error.message });
       throw error;
     }
   }
@@ -222,6 +266,8 @@ export class MarketDataService {
    * We do not update hotel_uuid here
    * @param {number} id - The database ID of the market data record to update
    * @param {Object} data - Market data object containing updated information (can be partial)
+   * @param {Object} options - Optional: { runId } recorded with the change history,
+   *   { lockedFields } of the hotel when the caller already read them (looked up otherwise)
    * @returns {Promise<number>} The number of affected rows (should be 1 if successful)
    * @throws {Error} When database update fails or market data with given ID doesn't exist
    * @example
@@ -233,10 +279,15 @@ export class MarketDataService {
    * const affectedRows = await MarketDataService.updateMarketData(123, updatedData);
    * console.log(`Updated ${affectedRows} market data record(s)`);
    */
-  static async updateMarketData(id, data) {
-    // Filter out invalid fields first (exclude hotel_uuid for safety)
+  static async updateMarketData(id, data, { runId = null, lockedFields = null } = {}) {
+    // Read the current values first: locks are looked up by its hotel_uuid,
+    // and the change history needs the replaced values
+    const currentData = await this.getMarketDataById(id);
+    lockedFields ??= currentData ? await FieldLockService.getLockedFields(currentData.hotel_uuid) : [];
+
+    // Filter out invalid and locked fields first (exclude hotel_uuid for safety)
     const { hotel_uuid, ...dataWithoutUuid } = data;
-    const filteredData = this.filterValidFields(dataWithoutUuid);
+    const filteredData = this.filterValidFields(dataWithoutUuid, lockedFields);
     
     // Convert boolean values before processing
     const fineData = this.convertBooleanValues(filteredData);
@@ -244,7 +295,7 @@ export class MarketDataService {
     // If no valid fields to update, return early
     const columns = Object.keys(fineData);
     if (columns.length === 0) {
-      console.log('⚠️ No valid fields to update');
+      logger.warn('⚠️ No valid fields to update');
       return 0;
     }
     
@@ -264,11 +315,24 @@ export class MarketDataService {
     ];
     
     try {
-      const result = await executeQuery(query, values);
-      console.log(`✅ Market data updated successfully. Affected rows: ${result.affectedRows}`);
+      // The row and its change history are committed together
+      const result = await withTransaction(async () => {
+        const updated = await executeQuery(query, values);
+        if (currentData) {
+          await HistoryService.recordChanges({
+            hotelUuid: currentData.hotel_uuid,
+            marketDataId: id,
+            runId,
+            changes: HistoryService.diff(currentData, fineData),
+          });
+        }
+        return updated;
+      });
+      logger.info(`✅ Market data updated successfully. Affected rows: ${result.affectedRows}`);
+
       return result.affectedRows;
     } catch (error) {
-      console.error('Error updating market data:', error.message);
+      logger.error('Error updating market data', { error: error.message });
       throw error;
     }
   }
@@ -277,6 +341,7 @@ export class MarketDataService {
    * Upsert market data (insert or update based on hotel_uuid)
    * @param {Object} data - Market data object containing all hotel information
    * @param {string} hotelUuid - The hotel UUID to use for upsert operation
+   * @param {Object} options - Optional: { runId, lockedFields }, see insertMarketData and updateMarketData
    * @returns {Promise<Object>} Object containing action type and result data
    * @returns {Promise<Object>} Returns {action: 'insert', insertId: number} for new records
    * @returns {Promise<Object>} Returns {action: 'update', affectedRows: number, id: number} for existing records
@@ -294,23 +359,23 @@ export class MarketDataService {
    *   console.log(`Updated ${result.affectedRows} rows`);
    * }
    */
-  static async upsertMarketData(data, hotelUuid) {
+  static async upsertMarketData(data, hotelUuid, options = {}) {
     try {
       const existingId = await this.getIdByUuid(hotelUuid);
       
       if (existingId > 0) {
-        console.log(`🔄 Updating existing market data for UUID: ${hotelUuid} (ID: ${existingId})`);
-        const affectedRows = await this.updateMarketData(existingId, data);
+        logger.info(`🔄 Updating existing market data for UUID: ${hotelUuid} (ID: ${existingId})`);
+        const affectedRows = await this.updateMarketData(existingId, data, options);
         return { action: 'update', affectedRows, id: existingId };
       } else {
-        console.log(`➕ Inserting new market data for UUID: ${hotelUuid}`);
+        logger.info(`➕ Inserting new market data for UUID: ${hotelUuid}`);
         // Add hotel_uuid to data object for insert
         const dataWithUuid = { ...data, hotel_uuid: hotelUuid };
-        const insertId = await this.insertMarketData(dataWithUuid);
+        const insertId = await this.insertMarketData(dataWithUuid, options);
         return { action: 'insert', insertId };
       }
     } catch (error) {
-      console.error('Error upserting market data:', error.message);
+      logger.error('Error upserting market data', { error: error.message });
       throw error;
     }
   }
@@ -0,0 +1,256 @@
+import 'dotenv/config';
+import { readdir } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+import { executeQuery } from '../config/database.js';
+import { MD_ALL_FIELDS, BOOLEAN_FIELDS, CATEGORY_TEXT_MAX_LENGTH } from '../middleware/constants.js';
+import { TABLES } from '../migrations/tables.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'schema_migrations'
+const MIGRATIONS_TABLE = process.env.MIGRATIONS_TABLE || 'schema_migrations';
+
+// Versioned migrations are migrations/<version>_<name>.js, applied in version order, each exporting
+// description and up(executeQuery). market_data field columns are not versioned: they follow
+// MD_ALL_FIELDS and are compared to the live table by getFieldColumnDiff.
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+// Longest value kept in a VARCHAR column, longer fields are TEXT
+const MAX_VARCHAR_LENGTH = 255;
+
+export class MigrationService {
+
+  /**
+   * Get the column definition of a market_data field
+   * @param {Object} field - Field from MD_ALL_FIELDS
+   * @returns {{type: string, length: number|null, definition: string}} length is set for VARCHAR columns
+   */
+  static getFieldColumn(field) {
+    if (BOOLEAN_FIELDS.includes(field.name)) {
+      return { type: 'tinyint', length: null, definition: 'TINYINT(1) NULL' };
+    }
+
+    const maxLength = field.max_length ?? CATEGORY_TEXT_MAX_LENGTH;
+    if (maxLength <= MAX_VARCHAR_LENGTH) {
+      return { type: 'varchar', length: maxLength, definition: `VARCHAR(${maxLength}) NULL` };
+    }
+    return { type: 'text', length: null, definition: 'TEXT NULL' };
+  }
+
+  /**
+   * List the migration files, oldest version first
+   * @returns {Promise<Array<{version: string, file: string}>>}
+   */
+  static async listMigrationFiles() {
+    const files = await readdir(MIGRATIONS_DIR);
+    return files
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({ version: match[1], file }))
+      .sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+  }
+
+  /**
+   * Create the table that records applied migrations
+   * @returns {Promise<void>}
+   * @throws {Error} When database operation fails
+   */
+  static async ensureMigrationsTable() {
+    const query = `
+      CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        version VARCHAR(32) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description VARCHAR(255) NULL,
+        applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (version)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `;
+
+    try {
+      await executeQuery(query);
+    } catch (error) {
+      logger.error('Error creating migrations table', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the versions already applied, an empty list when the migrations table does not exist yet
+   * @returns {Promise<Array<string>>}
+   * @throws {Error} When database query fails
+   */
+  static async getAppliedVersions() {
+    try {
+      const [table] = await executeQuery(
+        'SELECT 1 AS found FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [MIGRATIONS_TABLE]
+      );
+      if (!table) {
+        return [];
+      }
+      const rows = await executeQuery(`SELECT version FROM ${MIGRATIONS_TABLE} ORDER BY version ASC`);
+      return rows.map(row => String(row.version));
+    } catch (error) {
+      logger.error('Error getting applied migrations', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the migrations not applied yet
+   * @returns {Promise<Array<{version: string, file: string}>>} Oldest first
+   * @throws {Error} When database query fails
+   */
+  static async getPendingMigrations() {
+    const applied = new Set(await this.getAppliedVersions());
+    const files = await this.listMigrationFiles();
+    return files.filter(({ version }) => !applied.has(version));
+  }
+
+  /**
+   * Compare MD_ALL_FIELDS to the columns of the live market_data table
+   * @returns {Promise<{tableExists: boolean, missing: Array<Object>, tooShort: Array<Object>, statements: Array<string>}>}
+   *   missing/tooShort list { name, definition }; statements are the ALTER TABLE statements that fix them
+   * @throws {Error} When database query fails
+   */
+  static async getFieldColumnDiff() {
+    let columns;
+    try {
+      columns = await executeQuery(
+        `SELECT COLUMN_NAME AS name, DATA_TYPE AS type, CHARACTER_MAXIMUM_LENGTH AS length
+         FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [TABLES.marketData]
+      );
+    } catch (error) {
+      logger.error('Error reading market data columns', { error: error.message });
+      throw error;
+    }
+
+    if (columns.length === 0) {
+      return { tableExists: false, missing: [], tooShort: [], statements: [] };
+    }
+
+    const liveColumns = new Map(columns.map(column => [column.name, column]));
+    const missing = [];
+    const tooShort = [];
+    MD_ALL_FIELDS.forEach(field => {
+      const expected = this.getFieldColumn(field);
+      const live = liveColumns.get(field.name);
+      if (!live) {
+        missing.push({ name: field.name, definition: expected.definition });
+      } else if (['varchar', 'char'].includes(live.type) && (expected.type === 'text' || live.length < expected.length)) {
+        tooShort.push({ name: field.name, definition: expected.definition });
+      }
+    });
+
+    const clauses = [
+      ...missing.map(({ name, definition }) => `ADD COLUMN ${name} ${definition}`),
+      ...tooShort.map(({ name, definition }) => `MODIFY COLUMN ${name} ${definition}`),
+    ];
+    const statements = clauses.length > 0 ? [`ALTER TABLE ${TABLES.marketData} ${clauses.join(', ')}`] : [];
+
+    return { tableExists: true, missing, tooShort, statements };
+  }
+
+  /**
+   * Check that every migration is applied and market_data has a column for every field
+   * @returns {Promise<{pending: Array<Object>, diff: Object, ready: boolean}>}
+   * @throws {Error} When database query fails
+   */
+  static async checkSchema() {
+    const pending = await this.getPendingMigrations();
+    const diff = await this.getFieldColumnDiff();
+    const ready = pending.length === 0 && diff.tableExists && diff.statements.length === 0;
+    return { pending, diff, ready };
+  }
+
+  /**
+   * Refuse to go on with an outdated schema, called by the entry points after connecting
+   * Skipped when SCHEMA_CHECK=false.
+   * @returns {Promise<void>}
+   * @throws {Error} Explaining what is missing and how to fix it
+   */
+  static async assertSchemaReady() {
+    if (process.env.SCHEMA_CHECK === 'false') {
+      return;
+    }
+
+    const { pending, diff, ready } = await this.checkSchema();
+    if (ready) {
+      return;
+    }
+
+    const problems = [];
+    if (pending.length > 0) {
+      problems.push(`${pending.length} pending migration(s): ${pending.map(({ file }) => file).join(', ')}`);
+    }
+    if (!diff.tableExists) {
+      problems.push(`table ${TABLES.marketData} does not exist`);
+    }
+    if (diff.missing.length > 0) {
+      problems.push(`${TABLES.marketData} has no column for field(s) ${diff.missing.map(({ name }) => name).join(', ')}`);
+    }
+    if (diff.tooShort.length > 0) {
+      problems.push(`${TABLES.marketData} column(s) too short for ${diff.tooShort.map(({ name }) => name).join(', ')}`);
+    }
+    throw new Error(`Database schema is out of date: ${problems.join('; ')}. Run "npm run migrate" (add -- --dry-run to print the SQL first)`);
+  }
+
+  /**
+   * Apply pending migrations, then bring the market_data field columns in line with MD_ALL_FIELDS
+   * @param {Object} options - Optional: { dryRun } lists what would run without changing anything
+   * @returns {Promise<{applied: Array<string>, statements: Array<string>}>} Applied migration files and ALTER statements
+   * @throws {Error} When a migration or statement fails, later ones are not run
+   */
+  static async migrate({ dryRun = false } = {}) {
+    const pending = await this.getPendingMigrations();
+    const applied = [];
+
+    if (!dryRun) {
+      await this.ensureMigrationsTable();
+    }
+
+    for (const { version, file } of pending) {
+      const migration = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+      if (dryRun) {
+        logger.info(`📝 Would apply ${file}: ${migration.description || ''}`);
+        applied.push(file);
+        continue;
+      }
+
+      logger.info(`🛠️  Applying ${file}: ${migration.description || ''}`);
+      try {
+        await migration.up(executeQuery);
+        await executeQuery(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, description) VALUES (?, ?, ?)`,
+          [version, file, migration.description || null]
+        );
+        applied.push(file);
+      } catch (error) {
+        logger.error(`Error applying migration ${file}`, { error: error.message });
+        throw error;
+      }
+    }
+
+    // On a dry run before the first migration market_data may not exist yet, so nothing can be compared
+    const diff = await this.getFieldColumnDiff();
+    for (const statement of diff.statements) {
+      if (dryRun) {
+        logger.info(`📝 Would run: ${statement}`);
+        continue;
+      }
+
+      logger.info(`🛠️  ${statement}`);
+      try {
+        await executeQuery(statement);
+      } catch (error) {
+        logger.error('Error syncing market data columns', { error: error.message });
+        throw error;
+      }
+    }
+
+    return { applied, statements: diff.statements };
+  }
+}
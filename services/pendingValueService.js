@@ -0,0 +1,302 @@
+import 'dotenv/config';
+import { executeQuery, withTransaction } from '../config/database.js';
+import { REVIEW_MODES } from '../middleware/constants.js';
+import { MarketDataService } from './marketDataService.js';
+import { FieldLockService } from './fieldLockService.js';
+import { FieldRefreshService } from './fieldRefreshService.js';
+import { ProvenanceService } from './provenanceService.js';
+import { ValidationService } from './validationService.js';
+import { parseJson } from '../utils/json.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'market_data_pending_values'
+const PENDING_VALUES_TABLE = process.env.PENDING_VALUES_TABLE || 'market_data_pending_values';
+
+// Statuses: needs_review -> approved | rejected | superseded (a newer value for the same field arrived)
+// Reasons: low_confidence, changed (differs from the stored value), new (stored field is empty)
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '' || value === 'N/A';
+
+// Values are stored as text
+const toStoredValue = (value) => (value === null || value === undefined ? null : String(value));
+const sameValue = (a, b) => a !== null && b !== null && String(a).trim() === String(b).trim();
+
+export class PendingValueService {
+
+  /**
+   * Get the review mode (REVIEW_MODE, default all), see REVIEW_MODES in constants.js
+   * Unknown values fall back to all, so a typo never lets changed values through unreviewed.
+   * @returns {string}
+   */
+  static getReviewMode() {
+    const mode = (process.env.REVIEW_MODE || 'all').trim().toLowerCase();
+    return REVIEW_MODES.includes(mode) ? mode : 'all';
+  }
+
+  /**
+   * Split fetched values into values written right away and values that wait for a reviewer
+   * Values equal to the stored value are always written (nothing changes, only timestamps are refreshed).
+   * @param {Object} data - Values that passed the confidence threshold
+   * @param {Object|null} existingData - Stored market data row
+   * @param {string} mode - Review mode, defaults to getReviewMode()
+   * @returns {{publish: Object, review: Object}} publish: field => value, review: field => reason
+   */
+  static splitForReview(data, existingData, mode = this.getReviewMode()) {
+    const publish = {};
+    const review = {};
+
+    Object.entries(data).forEach(([fieldName, value]) => {
+      const storedValue = existingData?.[fieldName];
+      if (isEmpty(storedValue)) {
+        if (mode === 'all') {
+          review[fieldName] = 'new';
+          return;
+        }
+      } else if (String(storedValue).trim() !== String(value).trim() && mode !== 'low_confidence') {
+        review[fieldName] = 'changed';
+        return;
+      }
+      publish[fieldName] = value;
+    });
+
+    return { publish, review };
+  }
+
+  /**
+   * Hold values back for review instead of publishing them to market_data
+   * A newer pending value of a field supersedes the older one still waiting. A value already waiting keeps its
+   * row, and a value a reviewer rejected for this field before is not queued again.
+   * The supersede and the insert run in one transaction.
+   * @param {string} hotelUuid - The hotel UUID the values belong to
+   * @param {string|null} runId - Run that produced the values
+   * @param {Object} pendingByField - Field name => { value, confidence, provenance, reason, oldValue }
+   * @returns {Promise<number>} Number of values queued
+   * @throws {Error} When database operation fails
+   */
+  static async savePendingValues(hotelUuid, runId, pendingByField) {
+    const candidateFields = Object.keys(pendingByField || {});
+    if (candidateFields.length === 0) {
+      return 0;
+    }
+
+    const existingQuery = `
+      SELECT field_name, value, status FROM ${PENDING_VALUES_TABLE}
+      WHERE hotel_uuid = ? AND field_name IN (${candidateFields.map(() => '?').join(', ')}) AND status IN ('needs_review', 'rejected')
+    `;
+
+    try {
+      return await withTransaction(async () => {
+        const existing = await executeQuery(existingQuery, [hotelUuid, ...candidateFields]);
+        const fieldNames = candidateFields.filter(fieldName => {
+          const value = toStoredValue(pendingByField[fieldName].value);
+          const known = existing.find(row => row.field_name === fieldName && sameValue(row.value, value));
+          if (known?.status === 'rejected') {
+            logger.debug(`Skipping ${fieldName} for ${hotelUuid}, this value was rejected before`);
+          }
+          return !known;
+        });
+        if (fieldNames.length === 0) {
+          return 0;
+        }
+
+        const supersedeQuery = `
+          UPDATE ${PENDING_VALUES_TABLE} SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+          WHERE hotel_uuid = ? AND field_name IN (${fieldNames.map(() => '?').join(', ')}) AND status = 'needs_review'
+        `;
+        const insertQuery = `
+          INSERT INTO ${PENDING_VALUES_TABLE}
+            (hotel_uuid, field_name, value, old_value, reason, confidence, source_urls, provider, model, run_id, status)
+          VALUES ${fieldNames.map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'needs_review')").join(', ')}
+        `;
+        const values = fieldNames.flatMap(fieldName => {
+          const { value, oldValue = null, reason = 'low_confidence', confidence = null, provenance = {} } = pendingByField[fieldName];
+          return [
+            hotelUuid,
+            fieldName,
+            toStoredValue(value),
+            toStoredValue(oldValue),
+            reason,
+            confidence,
+            JSON.stringify(provenance.source_urls || []),
+            provenance.provider ?? null,
+            provenance.model ?? null,
+            runId,
+          ];
+        });
+
+        await executeQuery(supersedeQuery, [hotelUuid, ...fieldNames]);
+        await executeQuery(insertQuery, values);
+        return fieldNames.length;
+      });
+    } catch (error) {
+      logger.error('Error saving pending values', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List values waiting for review, oldest first
+   * @param {Object} options - Optional: { hotelUuid, limit }
+   * @returns {Promise<Array<Object>>} Pending value rows
+   * @throws {Error} When database query fails
+   */
+  static async listPending({ hotelUuid = null, limit = 100 } = {}) {
+    const conditions = ["status = 'needs_review'"];
+    const params = [];
+    if (hotelUuid) {
+      conditions.push('hotel_uuid = ?');
+      params.push(hotelUuid);
+    }
+
+    const query = `
+      SELECT id, hotel_uuid, field_name, value, old_value, reason, confidence, source_urls, provider, model, run_id, created_at
+      FROM ${PENDING_VALUES_TABLE}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at ASC, id ASC
+      LIMIT ${parseInt(limit, 10)}
+    `;
+
+    try {
+      return await executeQuery(query, params);
+    } catch (error) {
+      logger.error('Error listing pending values', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get values of a hotel waiting for review
+   * @param {string} hotelUuid - The hotel UUID to search for
+   * @returns {Promise<Array<Object>>} Pending value rows
+   * @throws {Error} When database query fails
+   */
+  static async getPendingValues(hotelUuid) {
+    return this.listPending({ hotelUuid, limit: 1000 });
+  }
+
+  /**
+   * Get one pending value row by ID, whatever its status
+   * @param {number} id - Pending value ID
+   * @returns {Promise<Object|null>} Row, null when not found
+   * @throws {Error} When database query fails
+   */
+  static async getById(id) {
+    const query = `SELECT * FROM ${PENDING_VALUES_TABLE} WHERE id = ?`;
+
+    try {
+      const [row] = await executeQuery(query, [id]);
+      return row || null;
+    } catch (error) {
+      logger.error('Error getting pending value', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending value, optionally edited by the reviewer, and write it through MarketDataService
+   * @param {number} id - Pending value ID
+   * @param {Object} options - Optional: { value, reviewedBy, note } - value replaces the fetched value
+   * @returns {Promise<Object>} The applied { field_name, value }
+   * @throws {Error} When the value is not waiting for review, the field is locked, or the database fails
+   * @example
+   * await PendingValueService.approve(42, { reviewedBy: 'jane@vaia' });
+   * await PendingValueService.approve(43, { value: '+15125550101', reviewedBy: 'jane@vaia', note: 'Fixed area code' });
+   */
+  static async approve(id, { value = undefined, reviewedBy = null, note = null } = {}) {
+    const row = await this.getPendingOrThrow(id);
+    const lockedFields = await FieldLockService.getLockedFields(row.hotel_uuid);
+    if (lockedFields.includes(row.field_name)) {
+      throw new Error(`Field ${row.field_name} is locked for hotel ${row.hotel_uuid}, unlock it before approving`);
+    }
+
+    const edited = value !== undefined && value !== row.value;
+    let appliedValue = row.value;
+    if (edited) {
+      // Edited values go through the same checks as fetched ones, with the country of the stored row
+      // so phones are normalized and zipcodes checked like the pipeline does
+      const storedData = await MarketDataService.getMarketDataByUuid(row.hotel_uuid);
+      const { data, rejected } = ValidationService.validateRecord({ [row.field_name]: value }, {
+        country: ValidationService.parseLocation(storedData?.city_state_country).country,
+      });
+      if (rejected.length > 0) {
+        throw new Error(`Edited value for ${row.field_name} rejected: ${rejected[0].reason}`);
+      }
+      appliedValue = data[row.field_name];
+    }
+
+    // The decision and the applied value are committed together; the decision is stored first so a
+    // concurrent approval of the same row fails and rolls back instead of applying the value twice
+    try {
+      await withTransaction(async () => {
+        await this.setReviewed(id, 'approved', { appliedValue, reviewedBy, note });
+
+        const upserted = await MarketDataService.upsertMarketData({ [row.field_name]: appliedValue }, row.hotel_uuid);
+        const marketDataId = upserted.action === 'update' ? upserted.id : upserted.insertId;
+
+        await FieldRefreshService.touchFields(row.hotel_uuid, [row.field_name]);
+        await ProvenanceService.saveProvenance(marketDataId, {
+          [row.field_name]: edited
+            ? { source_urls: [], provider: 'manual', model: null, attempt: null, confidence: 1, fetched_at: new Date() }
+            : {
+              source_urls: parseJson(row.source_urls, []),
+              provider: row.provider,
+              model: row.model,
+              attempt: null,
+              confidence: row.confidence === null ? null : Number(row.confidence),
+              fetched_at: row.created_at,
+            },
+        });
+      });
+      logger.info(`✅ Approved ${row.field_name} for ${row.hotel_uuid}${edited ? ' (edited)' : ''}`);
+      return { field_name: row.field_name, value: appliedValue };
+    } catch (error) {
+      logger.error('Error approving pending value', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending value, market_data keeps its stored value
+   * @param {number} id - Pending value ID
+   * @param {Object} options - Optional: { reviewedBy, note }
+   * @returns {Promise<void>}
+   * @throws {Error} When the value is not waiting for review or the database fails
+   */
+  static async reject(id, { reviewedBy = null, note = null } = {}) {
+    const row = await this.getPendingOrThrow(id);
+    await this.setReviewed(id, 'rejected', { appliedValue: null, reviewedBy, note });
+    logger.info(`🚫 Rejected ${row.field_name} for ${row.hotel_uuid}`);
+  }
+
+  // Load a row and make sure it still waits for review
+  static async getPendingOrThrow(id) {
+    const row = await this.getById(id);
+    if (!row) {
+      throw new Error(`Pending value ${id} not found`);
+    }
+    if (row.status !== 'needs_review') {
+      throw new Error(`Pending value ${id} is already ${row.status}`);
+    }
+    return row;
+  }
+
+  // Store the review decision, failing when the row was decided in the meantime
+  static async setReviewed(id, status, { appliedValue, reviewedBy, note }) {
+    const query = `
+      UPDATE ${PENDING_VALUES_TABLE}
+      SET status = ?, applied_value = ?, reviewed_by = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'needs_review'
+    `;
+
+    let result;
+    try {
+      result = await executeQuery(query, [status, toStoredValue(appliedValue), reviewedBy, note, id]);
+    } catch (error) {
+      logger.error('Error saving review decision', { error: error.message });
+      throw error;
+    }
+    if (result.affectedRows === 0) {
+      throw new Error(`Pending value ${id} is no longer waiting for review`);
+    }
+  }
+}
@@ -0,0 +1,107 @@
+import 'dotenv/config';
+import { executeQuery } from '../config/database.js';
+import { parseJson } from '../utils/json.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'market_data_provenance'
+const PROVENANCE_TABLE = process.env.PROVENANCE_TABLE || 'market_data_provenance';
+
+export class ProvenanceService {
+
+  /**
+   * Save where the stored value of each field came from
+   * One row per (market_data_id, field_name); saving again replaces the previous provenance.
+   * @param {number} marketDataId - ID of the market_data row
+   * @param {Object} provenanceByField - Map of field name to { source_urls, provider, model, attempt, confidence, fetched_at }
+   * @returns {Promise<number>} Number of fields saved
+   * @throws {Error} When database operation fails
+   * @example
+   * await ProvenanceService.saveProvenance(123, {
+   *   main_phone: {
+   *     source_urls: ['https://grandhotel.com/contact'],
+   *     provider: 'perplexity',
+   *     model: 'sonar-pro',
+   *     attempt: 1,
+   *     confidence: 0.8,
+   *     fetched_at: new Date()
+   *   }
+   * });
+   */
+  static async saveProvenance(marketDataId, provenanceByField) {
+    const fieldNames = Object.keys(provenanceByField || {});
+    if (!marketDataId || fieldNames.length === 0) {
+      return 0;
+    }
+
+    const placeholders = fieldNames.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const query = `
+      INSERT INTO ${PROVENANCE_TABLE}
+        (market_data_id, field_name, source_urls, provider, model, attempt, confidence, fetched_at)
+      VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE
+        source_urls = VALUES(source_urls),
+        provider = VALUES(provider),
+        model = VALUES(model),
+        attempt = VALUES(attempt),
+        confidence = VALUES(confidence),
+        fetched_at = VALUES(fetched_at)
+    `;
+
+    const values = fieldNames.flatMap(fieldName => {
+      const provenance = provenanceByField[fieldName];
+      return [
+        marketDataId,
+        fieldName,
+        JSON.stringify(provenance.source_urls || []),
+        provenance.provider ?? null,
+        provenance.model ?? null,
+        provenance.attempt ?? null,
+        provenance.confidence ?? null,
+        provenance.fetched_at ?? new Date(),
+      ];
+    });
+
+    try {
+      await executeQuery(query, values);
+      return fieldNames.length;
+    } catch (error) {
+      logger.error('Error saving provenance', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get provenance of every field of a market_data row
+   * @param {number} marketDataId - ID of the market_data row
+   * @returns {Promise<Object>} Map of field name to { source_urls, provider, model, attempt, confidence, fetched_at }
+   * @throws {Error} When database query fails
+   */
+  static async getProvenance(marketDataId) {
+    const query = `
+      SELECT field_name, source_urls, provider, model, attempt, confidence, fetched_at
+      FROM ${PROVENANCE_TABLE}
+      WHERE market_data_id = ?
+    `;
+
+    try {
+      const rows = await executeQuery(query, [marketDataId]);
+      const provenanceByField = {};
+      rows.forEach(row => {
+        provenanceByField[row.field_name] = {
+          // mysql2 parses JSON columns, TEXT columns come back as strings
+          source_urls: parseJson(row.source_urls, []),
+          provider: row.provider,
+          model: row.model,
+          attempt: row.attempt,
+          // DECIMAL columns come back as strings
+          confidence: row.confidence === null ? null : Number(row.confidence),
+          fetched_at: row.fetched_at,
+        };
+      });
+      return provenanceByField;
+    } catch (error) {
+      logger.error('Error getting provenance', { error: error.message });
+      throw error;
+    }
+  }
+}
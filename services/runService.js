@@ -0,0 +1,308 @@
+import 'dotenv/config';
+import { executeQuery } from '../config/database.js';
+import { summarizeUsage } from '../utils/usage.js';
+import { parseJson } from '../utils/json.js';
+import { logger } from '../utils/logger.js';
+
+// Get table names from environment variables
+const RUNS_TABLE = process.env.RUNS_TABLE || 'scrape_runs';
+const RUN_ITEMS_TABLE = process.env.RUN_ITEMS_TABLE || 'scrape_run_items';
+
+// Run statuses: running -> completed | failed | interrupted (stopped by a signal or RUN_BUDGET_USD after finishing its
+// current hotels)
+// Item statuses: success (all requested fields filled), partial (some fields missing or errors), failed
+
+export class RunService {
+
+  /**
+   * Create a run row at the start of main()
+   * @param {string} runId - Run ID (UUID)
+   * @param {Object} options - Run options, stored for reference
+   * @returns {Promise<void>}
+   * @throws {Error} When database insertion fails
+   */
+  static async createRun(runId, options = {}) {
+    const query = `
+      INSERT INTO ${RUNS_TABLE} (id, status, options, started_at)
+      VALUES (?, 'running', ?, CURRENT_TIMESTAMP)
+    `;
+
+    try {
+      await executeQuery(query, [runId, JSON.stringify(options)]);
+    } catch (error) {
+      logger.error('Error creating run', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an unfinished run as running again, for --resume
+   * Totals are recomputed by finishRun from every item, including the ones of earlier attempts.
+   * @param {string} runId - Run ID
+   * @returns {Promise<void>}
+   * @throws {Error} When database update fails
+   */
+  static async reopenRun(runId) {
+    const query = `
+      UPDATE ${RUNS_TABLE}
+      SET status = 'running', error = NULL, finished_at = NULL
+      WHERE id = ?
+    `;
+
+    try {
+      await executeQuery(query, [runId]);
+    } catch (error) {
+      logger.error('Error reopening run', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of one hotel
+   * @param {string} runId - Run ID
+   * @param {Object} hotel - Hotel object from database
+   * @param {Object} result - Outcome of processHotelWithRetry
+   * @param {string} result.status - success, partial or failed
+   * @param {number} result.attempts - Attempts used
+   * @param {Array<string>} result.filledFields - Fields filled in this run
+   * @param {Array<string>} result.emptyFields - Requested fields still empty
+   * @param {Array<string>} result.errors - Error messages
+   * @param {Array<Object>} result.usage - Usage entries of every AI call
+   * @param {number} result.durationMs - Processing time in milliseconds
+   * @returns {Promise<void>}
+   * @throws {Error} When database insertion fails
+   */
+  static async recordItem(runId, hotel, result) {
+    const usage = summarizeUsage(result.usage);
+    const query = `
+      INSERT INTO ${RUN_ITEMS_TABLE}
+        (run_id, hotel_uuid, hotel_name, status, attempts, fields_filled, fields_empty, errors,
+         duration_ms, llm_calls, prompt_tokens, completion_tokens, total_tokens, cost_usd, finished_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+    const values = [
+      runId,
+      hotel.hotel_uuid,
+      hotel.name,
+      result.status,
+      result.attempts ?? 0,
+      JSON.stringify(result.filledFields || []),
+      JSON.stringify(result.emptyFields || []),
+      JSON.stringify(result.errors || []),
+      Math.round(result.durationMs || 0),
+      usage.calls,
+      usage.prompt_tokens,
+      usage.completion_tokens,
+      usage.total_tokens,
+      usage.cost_usd.toFixed(6),
+    ];
+
+    try {
+      await executeQuery(query, values);
+    } catch (error) {
+      logger.error('Error recording run item', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Close a run and store its totals, aggregated from the recorded items
+   * @param {string} runId - Run ID
+   * @param {string} status - completed, failed or interrupted
+   * @param {string|null} errorMessage - Fatal error, if any
+   * @returns {Promise<void>}
+   * @throws {Error} When database update fails
+   */
+  static async finishRun(runId, status, errorMessage = null) {
+    const query = `
+      UPDATE ${RUNS_TABLE} r
+      LEFT JOIN (
+        SELECT run_id,
+          COUNT(*) AS hotel_count,
+          SUM(status = 'success') AS success_count,
+          SUM(status = 'partial') AS partial_count,
+          SUM(status = 'failed') AS failed_count,
+          SUM(prompt_tokens) AS prompt_tokens,
+          SUM(completion_tokens) AS completion_tokens,
+          SUM(total_tokens) AS total_tokens,
+          SUM(cost_usd) AS cost_usd
+        FROM ${RUN_ITEMS_TABLE}
+        WHERE run_id = ?
+        GROUP BY run_id
+      ) totals ON totals.run_id = r.id
+      SET r.status = ?,
+        r.error = ?,
+        r.hotel_count = COALESCE(totals.hotel_count, 0),
+        r.success_count = COALESCE(totals.success_count, 0),
+        r.partial_count = COALESCE(totals.partial_count, 0),
+        r.failed_count = COALESCE(totals.failed_count, 0),
+        r.prompt_tokens = COALESCE(totals.prompt_tokens, 0),
+        r.completion_tokens = COALESCE(totals.completion_tokens, 0),
+        r.total_tokens = COALESCE(totals.total_tokens, 0),
+        r.cost_usd = COALESCE(totals.cost_usd, 0),
+        r.finished_at = CURRENT_TIMESTAMP
+      WHERE r.id = ?
+    `;
+
+    try {
+      await executeQuery(query, [runId, status, errorMessage, runId]);
+    } catch (error) {
+      logger.error('Error finishing run', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the estimated AI cost a run has recorded so far, so a resumed run keeps counting against RUN_BUDGET_USD
+   * @param {string} runId - Run ID
+   * @returns {Promise<number>} Cost in USD
+   * @throws {Error} When database query fails
+   */
+  static async getRunCost(runId) {
+    const query = `SELECT COALESCE(SUM(cost_usd), 0) AS cost_usd FROM ${RUN_ITEMS_TABLE} WHERE run_id = ?`;
+
+    try {
+      const [row] = await executeQuery(query, [runId]);
+      return parseFloat(row?.cost_usd || 0);
+    } catch (error) {
+      logger.error('Error getting run cost', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a run with its per-hotel items
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} Run row with an items array, null if not found
+   * @throws {Error} When database query fails
+   */
+  static async getRun(runId) {
+    try {
+      const [run] = await executeQuery(`SELECT * FROM ${RUNS_TABLE} WHERE id = ?`, [runId]);
+      if (!run) {
+        return null;
+      }
+
+      const items = await executeQuery(
+        `SELECT * FROM ${RUN_ITEMS_TABLE} WHERE run_id = ? ORDER BY id ASC`,
+        [runId]
+      );
+
+      return {
+        ...run,
+        options: parseJson(run.options, {}),
+        items: items.map(item => ({
+          ...item,
+          fields_filled: parseJson(item.fields_filled, []),
+          fields_empty: parseJson(item.fields_empty, []),
+          errors: parseJson(item.errors, []),
+        })),
+      };
+    } catch (error) {
+      logger.error('Error getting run', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List recent runs, newest first
+   * @param {Object} options - Optional: { limit }
+   * @returns {Promise<Array<Object>>} Run rows without items
+   * @throws {Error} When database query fails
+   */
+  static async listRuns({ limit = 20 } = {}) {
+    const query = `
+      SELECT * FROM ${RUNS_TABLE}
+      ORDER BY started_at DESC
+      LIMIT ${parseInt(limit, 10)}
+    `;
+
+    try {
+      const runs = await executeQuery(query);
+      return runs.map(run => ({ ...run, options: parseJson(run.options, {}) }));
+    } catch (error) {
+      logger.error('Error listing runs', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest run started by the scheduler
+   * @returns {Promise<Object|null>} Run row without items, null when the scheduler never ran
+   * @throws {Error} When database query fails
+   */
+  static async getLastScheduledRun() {
+    const query = `
+      SELECT * FROM ${RUNS_TABLE}
+      WHERE JSON_EXTRACT(options, '$.scheduled') = true
+      ORDER BY started_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const [run] = await executeQuery(query);
+      return run ? { ...run, options: parseJson(run.options, {}) } : null;
+    } catch (error) {
+      logger.error('Error getting last scheduled run', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest batch run if it never finished (the process died or was interrupted) and started
+   * within the resume window
+   * Runs of refresh jobs are ignored, they cover a single hotel.
+   * @param {Object} options
+   * @param {number} options.windowHours - Older runs are not resumed
+   * @param {boolean} options.scheduled - Only consider runs started by the scheduler
+   * @param {boolean} options.lockHeld - The caller holds the batch lock, so a "running" run has no live process
+   *   and is resumable too; without the lock only interrupted runs are
+   * @returns {Promise<Object|null>} Run row without items, null when there is nothing to resume
+   * @throws {Error} When database query fails
+   */
+  static async getResumableRun({ windowHours, scheduled = false, lockHeld = false }) {
+    const conditions = ["JSON_EXTRACT(options, '$.jobId') IS NULL"];
+    if (scheduled) {
+      conditions.push("JSON_EXTRACT(options, '$.scheduled') = true");
+    }
+    const query = `
+      SELECT * FROM ${RUNS_TABLE}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY started_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const [run] = await executeQuery(query);
+      const resumableStatuses = lockHeld ? ['running', 'interrupted'] : ['interrupted'];
+      if (!run || !resumableStatuses.includes(run.status)) {
+        return null;
+      }
+      if (new Date(run.started_at).getTime() < Date.now() - windowHours * 60 * 60 * 1000) {
+        return null;
+      }
+      return { ...run, options: parseJson(run.options, {}) };
+    } catch (error) {
+      logger.error('Error getting resumable run', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the hotels a run already processed
+   * @param {string} runId - Run ID
+   * @returns {Promise<Set<string>>} hotel_uuid of every recorded item
+   * @throws {Error} When database query fails
+   */
+  static async getProcessedHotelUuids(runId) {
+    const query = `SELECT DISTINCT hotel_uuid FROM ${RUN_ITEMS_TABLE} WHERE run_id = ?`;
+
+    try {
+      const rows = await executeQuery(query, [runId]);
+      return new Set(rows.map(row => row.hotel_uuid));
+    } catch (error) {
+      logger.error('Error getting processed hotels of run', { error: error.message });
+      throw error;
+    }
+  }
+}
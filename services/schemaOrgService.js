@@ -0,0 +1,92 @@
+import { hasSchemaType } from '../utils/html.js';
+import { HOTEL_SCHEMA_TYPES } from './crawlerService.js';
+
+// market_data fields filled straight from schema.org Hotel / LodgingBusiness properties
+export const SCHEMA_ORG_FIELDS = ['name', 'address', 'zipcode', 'city_state_country', 'main_phone', 'email', 'amenities'];
+
+// Schema values are either plain values or one-item arrays
+const first = (value) => (Array.isArray(value) ? value.find(item => item !== null && item !== undefined && item !== '') : value);
+
+const toText = (value) => {
+  const item = first(value);
+  if (item === null || item === undefined) {
+    return null;
+  }
+  // Nested things like { "@type": "Country", "name": "US" } are referenced by name
+  const text = typeof item === 'object' ? item.name : item;
+  return typeof text === 'string' || typeof text === 'number' ? String(text).trim() || null : null;
+};
+
+export class SchemaOrgService {
+
+  /**
+   * Map one schema.org Hotel item onto market_data fields
+   * @param {Object} item - JSON-LD item with a hotel type
+   * @returns {Object} Field values found in the item
+   * @example
+   * SchemaOrgService.mapHotelItem({
+   *   '@type': 'Hotel',
+   *   name: 'Grand Hotel',
+   *   telephone: '+1 512 555 0101',
+   *   address: { '@type': 'PostalAddress', streetAddress: '1 Main St', addressLocality: 'Austin', postalCode: '78701' }
+   * });
+   * // { name: 'Grand Hotel', main_phone: '+1 512 555 0101', address: '1 Main St', zipcode: '78701', city_state_country: 'Austin' }
+   */
+  static mapHotelItem(item) {
+    const data = {
+      name: toText(item.name),
+      main_phone: toText(item.telephone),
+      email: toText(item.email)?.replace(/^mailto:/i, '') || null,
+    };
+
+    const address = first(item.address);
+    if (address && typeof address === 'object') {
+      data.address = toText(address.streetAddress);
+      data.zipcode = toText(address.postalCode);
+      const location = [address.addressLocality, address.addressRegion, address.addressCountry]
+        .map(toText)
+        .filter(Boolean);
+      data.city_state_country = location.length > 0 ? location.join(', ') : null;
+    } else {
+      data.address = toText(address);
+    }
+
+    // amenityFeature is a list of LocationFeatureSpecification; value false means "not available"
+    const features = [].concat(item.amenityFeature || [])
+      .filter(feature => feature && (typeof feature !== 'object' || (feature.value !== false && feature.value !== 'False')))
+      .map(toText)
+      .filter(Boolean);
+    data.amenities = features.length > 0 ? [...new Set(features)].join(', ') : null;
+
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  /**
+   * Fill fields from the schema.org hotel data of a website crawl
+   * Items are read in crawl order (homepage first); the first item with a value wins.
+   * @param {Object|null} crawl - Result of CrawlerService.crawlSite
+   * @param {Array<string>} fieldNames - Fields wanted, others are ignored
+   * @returns {{data: Object, sources: Object}} Field values and, per field, the URL of the page it came from
+   */
+  static extractFields(crawl, fieldNames = SCHEMA_ORG_FIELDS) {
+    const wanted = fieldNames.filter(fieldName => SCHEMA_ORG_FIELDS.includes(fieldName));
+    const data = {};
+    const sources = {};
+
+    (crawl?.pages || []).forEach(page => {
+      page.jsonLd
+        .filter(item => hasSchemaType(item, HOTEL_SCHEMA_TYPES))
+        .forEach(item => {
+          const mapped = this.mapHotelItem(item);
+          wanted.forEach(fieldName => {
+            if (!(fieldName in data) && mapped[fieldName]) {
+              data[fieldName] = mapped[fieldName];
+              sources[fieldName] = page.url;
+            }
+          });
+        });
+    });
+
+    return { data, sources };
+  }
+}
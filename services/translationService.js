@@ -0,0 +1,309 @@
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import { executeQuery } from '../config/database.js';
+import { MD_CAT_FIELDS } from '../middleware/constants.js';
+import { AIService } from './aiService.js';
+import { FAQService } from './faqService.js';
+import { MarketDataService } from './marketDataService.js';
+import { logger } from '../utils/logger.js';
+
+// Get table name from environment variable, default to 'market_data_translations'
+const TRANSLATIONS_TABLE = process.env.TRANSLATIONS_TABLE || 'market_data_translations';
+
+// Locale codes accepted in TRANSLATION_LOCALES: language, optionally with a region (es, pt-BR)
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// English is the source language, it is never a target
+const SOURCE_LOCALE = 'en';
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// FAQ pairs are stored under "faq:<question_hash>", their question and answer are translated together
+const FAQ_KEY_PREFIX = 'faq:';
+
+export class TranslationService {
+
+  /**
+   * Get the target locales from TRANSLATION_LOCALES (comma separated, empty means no translation)
+   * @param {string} rawValue - Optional: value to parse instead of the environment variable
+   * @returns {Array<string>} Locale codes, e.g. ['es', 'fr', 'de']
+   * @throws {Error} When a locale code is invalid
+   */
+  static getLocales(rawValue = process.env.TRANSLATION_LOCALES || '') {
+    const locales = [...new Set(rawValue.split(',').map(locale => locale.trim()).filter(Boolean))];
+    const invalid = locales.filter(locale => !LOCALE_PATTERN.test(locale));
+    if (invalid.length > 0) {
+      throw new Error(`TRANSLATION_LOCALES has invalid locale(s): ${invalid.join(', ')} (expected codes like es, fr, pt-BR)`);
+    }
+    return locales.filter(locale => locale !== SOURCE_LOCALE);
+  }
+
+  /**
+   * Get the English name of a locale for prompts
+   * @param {string} locale - Locale code
+   * @returns {string} e.g. 'Spanish', 'Brazilian Portuguese'
+   */
+  static getLanguageName(locale) {
+    try {
+      return languageNames.of(locale) || locale;
+    } catch {
+      return locale;
+    }
+  }
+
+  /**
+   * Hash of an English source text, stored with its translations
+   * @param {string} text - Source text
+   * @returns {string} SHA-1 hex digest
+   */
+  static getSourceHash(text) {
+    return createHash('sha1').update(String(text)).digest('hex');
+  }
+
+  /**
+   * Collect the translatable texts of a hotel: category fields with a value and FAQ pairs
+   * @param {Object|null} marketData - Stored market data row
+   * @param {Array<{question: string, answer: string}>} faqs - Active FAQ rows
+   * @returns {Object} field_name => { value, question, sourceHash }, question is set for FAQ pairs only
+   */
+  static getSourceTexts(marketData, faqs = []) {
+    const sources = {};
+    const categoryFieldNames = MD_CAT_FIELDS.map(f => f.name);
+    const emptyFields = MarketDataService.getEmptyFields(marketData, categoryFieldNames);
+
+    categoryFieldNames
+      .filter(fieldName => !emptyFields.includes(fieldName))
+      .forEach(fieldName => {
+        const value = String(marketData[fieldName]);
+        sources[fieldName] = { value, question: null, sourceHash: this.getSourceHash(value) };
+      });
+
+    faqs.forEach(({ question, answer }) => {
+      sources[`${FAQ_KEY_PREFIX}${FAQService.getQuestionHash(question)}`] = {
+        value: answer,
+        question,
+        sourceHash: this.getSourceHash(`${question}\n${answer}`),
+      };
+    });
+
+    return sources;
+  }
+
+  /**
+   * Get the source hashes of the stored translations of a hotel
+   * @param {string} hotelUuid - The hotel UUID
+   * @returns {Promise<Map<string, string>>} "<field_name>|<locale>" => source_hash
+   * @throws {Error} When database query fails
+   */
+  static async getStoredHashes(hotelUuid) {
+    const query = `
+      SELECT field_name, locale, source_hash FROM ${TRANSLATIONS_TABLE}
+      WHERE hotel_uuid = ?
+    `;
+
+    try {
+      const rows = await executeQuery(query, [hotelUuid]);
+      return new Map(rows.map(row => [`${row.field_name}|${row.locale}`, row.source_hash]));
+    } catch (error) {
+      logger.error('Error getting stored translations', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the translations of a hotel in one locale
+   * @param {string} hotelUuid - The hotel UUID
+   * @param {string} locale - Locale code
+   * @returns {Promise<Array<Object>>} Rows { field_name, question, value, updated_at }; FAQ pairs have
+   *   field_name "faq:<question_hash>" and the translated question
+   * @throws {Error} When database query fails
+   */
+  static async getTranslations(hotelUuid, locale) {
+    const query = `
+      SELECT field_name, question, value, updated_at FROM ${TRANSLATIONS_TABLE}
+      WHERE hotel_uuid = ? AND locale = ?
+      ORDER BY field_name ASC
+    `;
+
+    try {
+      return await executeQuery(query, [hotelUuid, locale]);
+    } catch (error) {
+      logger.error('Error getting translations', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or replace translations of a hotel in one locale
+   * @param {string} hotelUuid - The hotel UUID
+   * @param {string} locale - Locale code
+   * @param {Array<{fieldName: string, sourceHash: string, question: string|null, value: string}>} translations
+   * @param {Object} meta - { provider, model } that translated them
+   * @returns {Promise<number>} Number of translations saved
+   * @throws {Error} When database operation fails
+   */
+  static async saveTranslations(hotelUuid, locale, translations, { provider = null, model = null } = {}) {
+    if (translations.length === 0) {
+      return 0;
+    }
+
+    const placeholders = translations.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const query = `
+      INSERT INTO ${TRANSLATIONS_TABLE}
+        (hotel_uuid, field_name, locale, source_hash, question, value, provider, model)
+      VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE
+        source_hash = VALUES(source_hash),
+        question = VALUES(question),
+        value = VALUES(value),
+        provider = VALUES(provider),
+        model = VALUES(model)
+    `;
+    const values = translations.flatMap(({ fieldName, sourceHash, question, value }) => [
+      hotelUuid, fieldName, locale, sourceHash, question ?? null, value, provider, model,
+    ]);
+
+    try {
+      await executeQuery(query, values);
+      return translations.length;
+    } catch (error) {
+      logger.error('Error saving translations', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete translations whose source is gone (FAQ removed, field emptied) or whose locale was dropped
+   * @param {string} hotelUuid - The hotel UUID
+   * @param {Array<string>} fieldNames - Field names that still have a source
+   * @param {Array<string>} locales - Locales still configured
+   * @returns {Promise<number>} Number of translations deleted
+   * @throws {Error} When database operation fails
+   */
+  static async deleteObsolete(hotelUuid, fieldNames, locales) {
+    // Without any source left or any locale configured every translation of the hotel is obsolete
+    const conditions = [];
+    const params = [hotelUuid];
+    if (fieldNames.length > 0 && locales.length > 0) {
+      conditions.push(`field_name NOT IN (${fieldNames.map(() => '?').join(', ')})`);
+      conditions.push(`locale NOT IN (${locales.map(() => '?').join(', ')})`);
+      params.push(...fieldNames, ...locales);
+    }
+    const query = `
+      DELETE FROM ${TRANSLATIONS_TABLE}
+      WHERE hotel_uuid = ?${conditions.length > 0 ? ` AND (${conditions.join(' OR ')})` : ''}
+    `;
+
+    try {
+      const result = await executeQuery(query, params);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error deleting obsolete translations', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Split sources into batches of about maxChars characters, one AI call each
+   * @param {Array<string>} fieldNames - Sources to translate
+   * @param {Object} sources - Result of getSourceTexts
+   * @param {number} maxChars - Character budget per batch (a single longer source gets its own batch)
+   * @returns {Array<Array<string>>}
+   */
+  static getBatches(fieldNames, sources, maxChars) {
+    const batches = [];
+    let batch = [];
+    let batchChars = 0;
+    fieldNames.forEach(fieldName => {
+      const chars = sources[fieldName].value.length + (sources[fieldName].question?.length || 0);
+      if (batch.length > 0 && batchChars + chars > maxChars) {
+        batches.push(batch);
+        batch = [];
+        batchChars = 0;
+      }
+      batch.push(fieldName);
+      batchChars += chars;
+    });
+    if (batch.length > 0) {
+      batches.push(batch);
+    }
+    return batches;
+  }
+
+  /**
+   * Translate the category fields and FAQs of a hotel into every configured locale
+   * Only sources that are new or changed since their stored translation are sent to the AI.
+   * A failed locale is reported and the others still run. Once the budget is used up no further batch is sent,
+   * the remaining sources are picked up by the next run.
+   * @param {Object} hotel - Hotel object from database
+   * @param {Object|null} marketData - Stored market data row
+   * @param {Array<Object>} faqs - Active FAQ rows
+   * @param {CostBudget|null} budget - Optional: budget the AI calls are charged to (utils/budget.js)
+   * @returns {Promise<{translated: number, deleted: number, usage: Array<Object>, errors: Array<string>}>}
+   * @throws {Error} When reading or cleaning up stored translations fails
+   */
+  static async translateHotel(hotel, marketData, faqs, budget = null) {
+    const locales = this.getLocales();
+    const sources = this.getSourceTexts(marketData, faqs);
+    const storedHashes = await this.getStoredHashes(hotel.hotel_uuid);
+    const maxChars = Math.max(parseInt(process.env.TRANSLATION_BATCH_CHARS || '12000', 10), 1);
+    const result = { translated: 0, deleted: 0, usage: [], errors: [] };
+
+    for (const locale of locales) {
+      const changed = Object.keys(sources)
+        .filter(fieldName => storedHashes.get(`${fieldName}|${locale}`) !== sources[fieldName].sourceHash);
+      if (changed.length === 0) {
+        continue;
+      }
+
+      for (const batch of this.getBatches(changed, sources, maxChars)) {
+        if (budget?.isExceeded()) {
+          result.errors.push(`${locale}: skipped, ${budget.getExceededMessage()}`);
+          break;
+        }
+
+        // FAQ pairs are sent as two texts, "<key>.question" and "<key>.answer"
+        const texts = {};
+        batch.forEach(fieldName => {
+          const { value, question } = sources[fieldName];
+          if (question === null) {
+            texts[fieldName] = value;
+          } else {
+            texts[`${fieldName}.question`] = question;
+            texts[`${fieldName}.answer`] = value;
+          }
+        });
+
+        try {
+          const response = await AIService.translateTexts(hotel, texts, locale, this.getLanguageName(locale));
+          result.usage.push(response.usage);
+          budget?.add(response.usage);
+          const { translations } = response;
+
+          const rows = [];
+          batch.forEach(fieldName => {
+            const { question, sourceHash } = sources[fieldName];
+            const row = question === null
+              ? { fieldName, sourceHash, question: null, value: translations[fieldName] }
+              : { fieldName, sourceHash, question: translations[`${fieldName}.question`], value: translations[`${fieldName}.answer`] };
+            // A source without a complete translation keeps its old one and is retried next time
+            if (row.value && (question === null || row.question)) {
+              rows.push(row);
+            }
+          });
+          result.translated += await this.saveTranslations(hotel.hotel_uuid, locale, rows, response);
+        } catch (error) {
+          if (error.usage) {
+            result.usage.push(error.usage);
+            budget?.add(error.usage);
+          }
+          logger.warn(`⚠️  Could not translate to ${locale} for ${hotel.name}`, { error: error.message });
+          result.errors.push(`${locale}: ${error.message}`);
+        }
+      }
+    }
+
+    result.deleted = await this.deleteObsolete(hotel.hotel_uuid, Object.keys(sources), locales);
+    return result;
+  }
+}
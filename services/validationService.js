@@ -0,0 +1,296 @@
+import { MD_ALL_FIELDS, MD_CAT_FIELDS, CATEGORY_TEXT_MAX_LENGTH, PLACEHOLDER_VALUES } from '../middleware/constants.js';
+
+// Country aliases => ISO 3166-1 alpha-2 code
+const COUNTRY_ALIASES = {
+  'us': 'US', 'usa': 'US', 'u.s.': 'US', 'u.s.a.': 'US', 'united states': 'US', 'united states of america': 'US',
+  'ca': 'CA', 'canada': 'CA',
+  'gb': 'GB', 'uk': 'GB', 'u.k.': 'GB', 'united kingdom': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB', 'great britain': 'GB',
+  'de': 'DE', 'germany': 'DE', 'deutschland': 'DE',
+  'fr': 'FR', 'france': 'FR',
+  'es': 'ES', 'spain': 'ES', 'españa': 'ES',
+  'it': 'IT', 'italy': 'IT', 'italia': 'IT',
+  'nl': 'NL', 'netherlands': 'NL', 'the netherlands': 'NL',
+  'mx': 'MX', 'mexico': 'MX', 'méxico': 'MX',
+  'au': 'AU', 'australia': 'AU',
+  'in': 'IN', 'india': 'IN',
+  'jp': 'JP', 'japan': 'JP',
+  'br': 'BR', 'brazil': 'BR', 'brasil': 'BR',
+};
+
+// Postal code formats per country
+const ZIPCODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  MX: /^\d{5}$/,
+  AU: /^\d{4}$/,
+  IN: /^\d{3} ?\d{3}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+};
+
+// Calling codes; trunkPrefix is dropped from national numbers when converting to E.164
+const CALLING_CODES = {
+  US: { code: '1', nationalLength: 10 },
+  CA: { code: '1', nationalLength: 10 },
+  GB: { code: '44', trunkPrefix: '0' },
+  DE: { code: '49', trunkPrefix: '0' },
+  FR: { code: '33', trunkPrefix: '0' },
+  ES: { code: '34' },
+  // Italian numbers keep their leading 0 in international format
+  IT: { code: '39' },
+  NL: { code: '31', trunkPrefix: '0' },
+  MX: { code: '52' },
+  AU: { code: '61', trunkPrefix: '0' },
+  IN: { code: '91', trunkPrefix: '0' },
+  JP: { code: '81', trunkPrefix: '0' },
+  BR: { code: '55', trunkPrefix: '0' },
+};
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_CANDIDATE_PATTERN = /(?:\+|\()?\d[\d\s().-]{5,}\d/g;
+const CITATION_MARKER_PATTERN = /\s*\[\d+\]/g;
+
+const CATEGORY_FIELD_NAMES = new Set(MD_CAT_FIELDS.map(f => f.name));
+const placeholderValues = new Set(PLACEHOLDER_VALUES);
+
+export class ValidationService {
+
+  /**
+   * Check if a value means "no information"
+   * @param {*} value - Raw value
+   * @returns {boolean}
+   */
+  static isPlaceholder(value) {
+    if (value === null || value === undefined) {
+      return true;
+    }
+    const flatValue = String(value).trim().toLowerCase().replace(/[.!]+$/, '');
+    return flatValue === '' || placeholderValues.has(flatValue);
+  }
+
+  /**
+   * Resolve a country name or code to an ISO 3166-1 alpha-2 code
+   * @param {string} country - Country name, alias or code
+   * @returns {string|null} ISO code, null when unknown
+   */
+  static getCountryCode(country) {
+    if (!country) {
+      return null;
+    }
+    return COUNTRY_ALIASES[String(country).trim().toLowerCase()] || null;
+  }
+
+  /**
+   * Split a "city, state, country" value into its parts
+   * @param {string} value - Location text
+   * @returns {{city: string|null, state: string|null, country: string|null}}
+   */
+  static parseLocation(value) {
+    const parts = String(value || '')
+      .split(',')
+      .map(part => part.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    if (parts.length === 0) {
+      return { city: null, state: null, country: null };
+    }
+    if (parts.length === 1) {
+      return { city: parts[0], state: null, country: null };
+    }
+    if (parts.length === 2) {
+      return { city: parts[0], state: null, country: parts[1] };
+    }
+    return { city: parts[0], state: parts.slice(1, -1).join(' '), country: parts[parts.length - 1] };
+  }
+
+  /**
+   * Normalize a phone number to E.164 when the country can be determined
+   * @param {string} rawPhone - Phone number as written on the website
+   * @param {string|null} countryCode - ISO country code of the hotel
+   * @returns {string|null} E.164 number, null when it cannot be normalized
+   */
+  static toE164(rawPhone, countryCode) {
+    const raw = String(rawPhone).trim();
+    let digits = raw.replace(/\D/g, '');
+
+    if (raw.startsWith('+')) {
+      return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+      return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+
+    const callingCode = CALLING_CODES[countryCode];
+    if (!callingCode) {
+      return null;
+    }
+
+    if (callingCode.nationalLength) {
+      // North American numbering plan: 10 digits, optionally prefixed with 1
+      if (digits.length === callingCode.nationalLength + 1 && digits.startsWith(callingCode.code)) {
+        digits = digits.slice(callingCode.code.length);
+      }
+      return digits.length === callingCode.nationalLength ? `+${callingCode.code}${digits}` : null;
+    }
+
+    if (callingCode.trunkPrefix && digits.startsWith(callingCode.trunkPrefix)) {
+      digits = digits.slice(callingCode.trunkPrefix.length);
+    }
+    const e164 = `+${callingCode.code}${digits}`;
+    return e164.length >= 9 && e164.length <= 16 ? e164 : null;
+  }
+
+  /**
+   * Validate and normalize one field value
+   * @param {Object} field - Field definition from MD_ALL_FIELDS
+   * @param {*} value - Raw value returned by the AI
+   * @param {Object} context - { countryCode } of the hotel
+   * @returns {{value: *, reason?: string}} Normalized value (null for placeholders), reason when rejected
+   */
+  static validateField(field, value, context = {}) {
+    if (this.isPlaceholder(value)) {
+      return { value: null };
+    }
+
+    // Nested values break the single level record, flatten simple arrays and reject the rest
+    let text = value;
+    if (Array.isArray(value) && value.every(item => typeof item !== 'object' || item === null)) {
+      text = value.filter(item => !this.isPlaceholder(item)).join(', ');
+    } else if (typeof value === 'object') {
+      return { value: null, reason: 'nested object instead of text' };
+    }
+
+    text = String(text).replace(CITATION_MARKER_PATTERN, '').trim();
+    if (this.isPlaceholder(text)) {
+      return { value: null };
+    }
+
+    let result;
+    switch (field.type) {
+      case 'email':
+        result = this.validateEmail(text);
+        break;
+      case 'phone':
+        result = this.validatePhone(text, context.countryCode);
+        break;
+      case 'phone_list':
+        result = this.validatePhoneList(text, context.countryCode);
+        break;
+      case 'zipcode':
+        result = this.validateZipcode(text, context.countryCode);
+        break;
+      case 'location':
+        result = this.validateLocation(text);
+        break;
+      default:
+        result = { value: text };
+    }
+
+    const maxLength = field.max_length ?? (CATEGORY_FIELD_NAMES.has(field.name) ? CATEGORY_TEXT_MAX_LENGTH : null);
+    if (result.value !== null && maxLength && String(result.value).length > maxLength) {
+      return { value: null, reason: `longer than ${maxLength} characters` };
+    }
+
+    return result;
+  }
+
+  // Keep the single valid email address of the value
+  static validateEmail(text) {
+    const emails = [...new Set((text.match(EMAIL_PATTERN) || []).map(email => email.toLowerCase()))];
+    if (emails.length === 0) {
+      return { value: null, reason: 'not a valid email address' };
+    }
+    if (emails.length > 1) {
+      return { value: null, reason: 'more than one email address' };
+    }
+    return { value: emails[0] };
+  }
+
+  // Normalize the main phone to E.164, keep it as written when the country is unknown
+  static validatePhone(text, countryCode) {
+    const digits = text.replace(/\D/g, '');
+    if (digits.length < 7) {
+      return { value: null, reason: 'not a valid phone number' };
+    }
+    const candidate = text.match(PHONE_CANDIDATE_PATTERN)?.[0] ?? text;
+    return { value: this.toE164(candidate, countryCode) ?? text };
+  }
+
+  // Normalize every number inside a "Label: number" list, keeping the labels
+  static validatePhoneList(text, countryCode) {
+    const candidates = text.match(PHONE_CANDIDATE_PATTERN) || [];
+    if (candidates.length === 0) {
+      return { value: null, reason: 'no phone numbers found' };
+    }
+    const normalized = text.replace(PHONE_CANDIDATE_PATTERN, candidate => this.toE164(candidate, countryCode) ?? candidate);
+    return { value: normalized };
+  }
+
+  // Check the postal code against the country format when the country is known
+  static validateZipcode(text, countryCode) {
+    const zipcode = text.toUpperCase().replace(/\s+/g, ' ');
+    const pattern = ZIPCODE_PATTERNS[countryCode];
+    if (pattern && !pattern.test(zipcode)) {
+      return { value: null, reason: `does not match ${countryCode} postal code format` };
+    }
+    if (!pattern && !/^[A-Z0-9][A-Z0-9 -]{1,10}[A-Z0-9]$/.test(zipcode)) {
+      return { value: null, reason: 'not a valid postal code' };
+    }
+    return { value: zipcode };
+  }
+
+  // Rebuild "City, State, Country" with consistent separators
+  static validateLocation(text) {
+    const { city, state, country } = this.parseLocation(text);
+    if (!city) {
+      return { value: null, reason: 'empty location' };
+    }
+    return { value: [city, state, country].filter(Boolean).join(', ') };
+  }
+
+  /**
+   * Validate and normalize a record returned by the AI
+   * Unknown fields are passed through untouched (filterValidFields drops them on save).
+   * Rejected values are set to null so the field stays empty and is retried.
+   * @param {Object} data - Raw record
+   * @param {Object} context - Optional: { country } known for the hotel
+   * @returns {{data: Object, rejected: Array<{field: string, value: *, reason: string}>}}
+   * @example
+   * const { data, rejected } = ValidationService.validateRecord({
+   *   city_state_country: 'Austin , TX, USA',
+   *   main_phone: '(512) 555-0100',
+   *   email: 'Not available'
+   * });
+   * // data: { city_state_country: 'Austin, TX, USA', main_phone: '+15125550100', email: null }
+   */
+  static validateRecord(data, context = {}) {
+    const normalizedData = { ...data };
+    const rejected = [];
+
+    // The zipcode and phone formats depend on the country, resolve it first
+    const location = this.validateField({ name: 'city_state_country', type: 'location' }, data.city_state_country);
+    const countryCode = this.getCountryCode(context.country)
+      || this.getCountryCode(this.parseLocation(location.value).country);
+
+    MD_ALL_FIELDS.forEach(field => {
+      if (!(field.name in data)) {
+        return;
+      }
+
+      const result = this.validateField(field, data[field.name], { countryCode });
+      normalizedData[field.name] = result.value;
+      if (result.reason) {
+        rejected.push({ field: field.name, value: data[field.name], reason: result.reason });
+      }
+    });
+
+    return { data: normalizedData, rejected };
+  }
+}
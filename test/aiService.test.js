@@ -0,0 +1,128 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIService } from '../services/aiService.js';
+import { FAQService } from '../services/faqService.js';
+import { getProvider } from '../services/llm/index.js';
+import { useLlmFixtures, loadFixture, getPrompt } from './helpers/llmReplay.js';
+
+const hotel = { hotel_uuid: 'hotel-1', name: 'Lakeview Inn Austin', website: null, city: 'Austin', address: null };
+const citations = loadFixture('market_data_fenced_partial').chunks[0].citations;
+
+test('assembles the streamed text, citations and the usage of the last chunk', async () => {
+  const { requests } = useLlmFixtures(['market_data_retry_cited']);
+
+  const completion = await getProvider('perplexity').complete({ prompt: 'prompt', maxTokens: 100 });
+
+  assert.equal(completion.text, '{"main_phone": "(512) 555-0142 [2]", "amenities": "Outdoor pool, fitness center, free Wi-Fi, lakeside terrace [1][3]"}');
+  assert.deepEqual(completion.citations, citations);
+  assert.deepEqual(completion.usage, { prompt_tokens: 388, completion_tokens: 30 });
+  assert.equal(requests[0].stream, true);
+  assert.equal(requests[0].max_tokens, 100);
+});
+
+test('extracts fields from a fenced answer surrounded by prose', async () => {
+  useLlmFixtures(['market_data_fenced_partial']);
+
+  const { data, provenance, usage } = await AIService.fetchHotelData(hotel, ['name', 'city_state_country', 'email', 'main_phone', 'amenities']);
+
+  assert.deepEqual(data, {
+    name: 'Lakeview Inn Austin',
+    city_state_country: 'Austin, TX, USA',
+    email: 'stay@lakeviewinnaustin.com',
+    main_phone: 'N/A',
+  });
+  assert.deepEqual(provenance.email.source_urls, citations);
+  assert.equal(provenance.email.provider, 'perplexity');
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].prompt_tokens, 412);
+});
+
+test('asks only for the listed fields', async () => {
+  const { requests } = useLlmFixtures(['market_data_retry_cited']);
+
+  await AIService.fetchHotelData(hotel, ['main_phone', 'amenities']);
+
+  const prompt = getPrompt(requests[0]);
+  assert.match(prompt, /"main_phone": "main phone number"/);
+  assert.match(prompt, /"amenities": "Amenities/);
+  assert.doesNotMatch(prompt, /"email":/);
+  assert.match(prompt, /Only return the fields listed above/);
+});
+
+test('attributes citation markers to the cited sources only', async () => {
+  useLlmFixtures(['market_data_retry_cited']);
+
+  const { provenance } = await AIService.fetchHotelData(hotel, ['main_phone', 'amenities']);
+
+  assert.deepEqual(provenance.main_phone.source_urls, [citations[1]]);
+  assert.deepEqual(provenance.amenities.source_urls, [citations[0], citations[2]]);
+});
+
+test('fails on a stream cut off before the JSON was complete', async () => {
+  useLlmFixtures(['market_data_truncated']);
+
+  await assert.rejects(AIService.fetchHotelData(hotel, ['name', 'email']), /No JSON found in response/);
+});
+
+test('fails on an answer without JSON', async () => {
+  useLlmFixtures(['market_data_no_json']);
+
+  await assert.rejects(AIService.fetchHotelData(hotel, ['name']), /No JSON found in response/);
+});
+
+test('retries a rate limited request', async () => {
+  const { requests, remaining } = useLlmFixtures(['rate_limited', 'market_data_retry_cited']);
+
+  const { data } = await AIService.fetchHotelData(hotel, ['main_phone', 'amenities']);
+
+  assert.equal(requests.length, 2);
+  assert.equal(remaining(), 0);
+  assert.equal(data.main_phone, '(512) 555-0142 [2]');
+});
+
+test('parses FAQ pairs from a fenced array', async () => {
+  useLlmFixtures(['faq_fenced_duplicates']);
+
+  const { faqs, usage } = await AIService.fetchHotelFAQ(hotel);
+
+  assert.equal(faqs.length, 6);
+  assert.equal(usage.prompt_tokens, 502);
+  // Blank questions, N/A answers and reworded duplicates are dropped before saving
+  assert.deepEqual(FAQService.dedupeFaqs(faqs).map(faq => faq.question), [
+    'What time is check-in?',
+    'Is parking available?',
+    'Are pets allowed?',
+  ]);
+});
+
+test('returns no FAQs when the answer is not an array', async () => {
+  useLlmFixtures(['faq_wrapped_object']);
+
+  const { faqs } = await AIService.fetchHotelFAQ(hotel);
+
+  assert.deepEqual(faqs, []);
+});
+
+test('returns no FAQs when the answer has no JSON', async () => {
+  useLlmFixtures(['market_data_no_json']);
+
+  const { faqs } = await AIService.fetchHotelFAQ(hotel);
+
+  assert.deepEqual(faqs, []);
+});
+
+test('reads Anthropic stream events with CRLF line endings split across chunks', async () => {
+  const stream = [
+    'event: message_start\r\ndata: {"type":"message_start","message":{"usage":{"input_tokens":12}}}\r',
+    '\n\r\nevent: content_block_delta\r\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\r\n',
+    '\r\n',
+  ].map(text => new TextEncoder().encode(text));
+
+  const events = [];
+  for await (const event of getProvider('anthropic').readEvents(stream)) {
+    events.push(event.type);
+  }
+
+  assert.deepEqual(events, ['message_start', 'content_block_delta']);
+});
@@ -0,0 +1,73 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePriceOverrides, getPriceOverrides } from '../config/llm.js';
+import { getCallCost, toUsageEntry, summarizeUsage } from '../utils/usage.js';
+import { CostBudget, getBudgetLimit } from '../utils/budget.js';
+
+afterEach(() => {
+  process.env.LLM_PRICES = '';
+  process.env.HOTEL_BUDGET_USD = '';
+});
+
+test('prices calls per million tokens plus the request fee', () => {
+  assert.equal(getCallCost('sonar-pro', 1e6, 1e6), 3 + 15 + 0.006);
+  assert.equal(getCallCost('gpt-4o', 2000, 1000), 0.015);
+  assert.equal(getCallCost('unknown-model', 1e6, 1e6), 0);
+});
+
+test('LLM_PRICES overrides and adds models, rejecting malformed entries', () => {
+  assert.deepEqual(parsePriceOverrides('sonar-pro=2/10/5, org/my-model=0.5/1.5'), {
+    'sonar-pro': { input: 2, output: 10, requests: 5 },
+    'org/my-model': { input: 0.5, output: 1.5, requests: 0 },
+  });
+  assert.throws(() => parsePriceOverrides('sonar-pro=3'), /invalid entry "sonar-pro=3"/);
+
+  process.env.LLM_PRICES = 'sonar-pro=0/0';
+  const entry = toUsageEntry({ provider: 'perplexity', model: 'sonar-pro', usage: { prompt_tokens: 500, completion_tokens: 100 } });
+  assert.equal(entry.cost_usd, 0);
+});
+
+test('parses LLM_PRICES once until it changes', () => {
+  process.env.LLM_PRICES = 'sonar-pro=2/10';
+  const overrides = getPriceOverrides();
+  assert.equal(getPriceOverrides(), overrides);
+
+  process.env.LLM_PRICES = 'sonar-pro=1/5';
+  assert.notEqual(getPriceOverrides(), overrides);
+  assert.deepEqual(getPriceOverrides(), { 'sonar-pro': { input: 1, output: 5, requests: 0 } });
+});
+
+test('sums the cost of usage entries', () => {
+  const summary = summarizeUsage([
+    { prompt_tokens: 100, completion_tokens: 50, cost_usd: 0.01 },
+    { prompt_tokens: 200, completion_tokens: 0, cost_usd: 0.02 },
+  ]);
+
+  assert.equal(summary.total_tokens, 350);
+  assert.equal(summary.cost_usd.toFixed(2), '0.03');
+});
+
+test('charges a hotel budget to its run budget', () => {
+  const runBudget = new CostBudget({ label: 'Run', limitUsd: 0.05 });
+  const first = new CostBudget({ label: 'Hotel', limitUsd: null, parent: runBudget });
+  const second = new CostBudget({ label: 'Hotel', limitUsd: null, parent: runBudget });
+
+  first.add([{ cost_usd: 0.03 }, { cost_usd: 0.01 }]);
+  assert.equal(second.isExceeded(), false);
+  first.add({ cost_usd: 0.02 });
+
+  assert.equal(second.isExceeded(), true);
+  assert.equal(second.spentUsd, 0);
+  assert.equal(second.getExceededMessage(), 'Run budget of $0.0500 reached ($0.0600 spent)');
+});
+
+test('reads budgets from the environment, empty or 0 meaning no limit', () => {
+  assert.equal(getBudgetLimit('HOTEL_BUDGET_USD'), null);
+  process.env.HOTEL_BUDGET_USD = '0';
+  assert.equal(getBudgetLimit('HOTEL_BUDGET_USD'), null);
+  process.env.HOTEL_BUDGET_USD = '0.25';
+  assert.equal(getBudgetLimit('HOTEL_BUDGET_USD'), 0.25);
+  process.env.HOTEL_BUDGET_USD = '$1';
+  assert.throws(() => getBudgetLimit('HOTEL_BUDGET_USD'), /HOTEL_BUDGET_USD must be an amount in USD/);
+});
@@ -0,0 +1,37 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfidenceService } from '../services/confidenceService.js';
+
+const observe = (field, value, provenance) => ({ field, value, provenance, attempt: 1 });
+
+afterEach(() => {
+  process.env.CONFIDENCE_THRESHOLD = '0.5';
+});
+
+test('holds uncited values of a provider without web search at the default threshold', () => {
+  process.env.CONFIDENCE_THRESHOLD = '';
+  const openai = { provider: 'openai', model: 'gpt-4o', source_urls: [] };
+
+  const scored = ConfidenceService.consolidate([
+    observe('amenities', 'Outdoor pool, fitness center', openai),
+    observe('main_phone', '+15125550142', openai),
+    observe('policies', 'No smoking', { ...openai, source_urls: ['https://www.lakeviewinnaustin.com/policies'] }),
+  ]);
+
+  assert.equal(ConfidenceService.getThreshold(), 0.5);
+  assert.equal(scored.amenities.confidence, 0.4);
+  assert.equal(scored.main_phone.confidence, 0.5);
+  assert.equal(scored.policies.confidence, 0.6);
+  assert.equal(
+    ConfidenceService.getUncitedWarning(['perplexity', 'openai']),
+    'No source URLs from openai: values not found on the crawled hotel website score 0.4 and are held for review at CONFIDENCE_THRESHOLD 0.5'
+  );
+});
+
+test('does not warn when every provider cites sources or the threshold lets uncited values through', () => {
+  assert.equal(ConfidenceService.getUncitedWarning(['perplexity']), null);
+
+  process.env.CONFIDENCE_THRESHOLD = '0.4';
+  assert.equal(ConfidenceService.getUncitedWarning(['anthropic', 'local']), null);
+});
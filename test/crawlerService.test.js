@@ -0,0 +1,130 @@
+import './helpers/env.js';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CrawlerService, HOTEL_SCHEMA_TYPES, FAQ_SCHEMA_TYPES } from '../services/crawlerService.js';
+
+// Serves test/fixtures/site on a free local port and records the requested paths
+const SITE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'site');
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.txt': 'text/plain' };
+
+let server;
+let siteUrl;
+let requested;
+
+before(async () => {
+  server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    requested.push(pathname);
+    const file = pathname === '/' ? 'index.html' : pathname.slice(1);
+    try {
+      const body = await readFile(path.join(SITE_DIR, path.basename(file)));
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+      response.end(body);
+    } catch {
+      response.writeHead(404, { 'Content-Type': 'text/html' });
+      response.end('<h1>Not found</h1>');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  siteUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => {
+  process.env.CRAWL_MAX_PAGES = '';
+  process.env.CRAWL_MAX_PAGE_BYTES = '';
+});
+
+// Serves a homepage that redirects to a page of the fixture site, which its robots.txt disallows
+const withRedirectingSite = async (fn) => {
+  const redirector = http.createServer((request, response) => {
+    if (request.url === '/') {
+      response.writeHead(301, { Location: `${siteUrl}policies.html` });
+    } else {
+      response.writeHead(404);
+    }
+    response.end();
+  });
+  await new Promise(resolve => redirector.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${redirector.address().port}/`);
+  } finally {
+    await new Promise(resolve => redirector.close(resolve));
+  }
+};
+
+const crawl = async () => {
+  requested = [];
+  return CrawlerService.crawlSite(siteUrl);
+};
+
+test('crawls the homepage and the highest priority linked pages up to CRAWL_MAX_PAGES', async () => {
+  process.env.CRAWL_MAX_PAGES = '3';
+
+  const result = await crawl();
+
+  assert.deepEqual(result.pages.map(page => page.kind), ['home', 'faq', 'amenities']);
+  assert.deepEqual(requested, ['/robots.txt', '/', '/faq.html', '/amenities.html']);
+  assert.equal(result.pages[0].title, 'Lakeview Inn Austin | Lakeside Hotel');
+  assert.match(result.pages[2].text, /Outdoor pool/);
+});
+
+test('skips pages disallowed by robots.txt and pages that are not text', async () => {
+  const result = await crawl();
+
+  assert.deepEqual(result.pages.map(page => page.kind), ['home', 'faq', 'amenities', 'contact', 'rooms']);
+  assert.ok(!requested.includes('/policies.html'));
+  assert.ok(!requested.includes('/brochure.pdf'));
+  assert.deepEqual(result.skipped, [
+    { url: `${siteUrl}policies.html`, reason: 'disallowed by robots.txt' },
+  ]);
+
+  process.env.CRAWL_MAX_PAGES = '10';
+  const withParking = await crawl();
+  assert.deepEqual(withParking.skipped.at(-1), {
+    url: `${siteUrl}parking`,
+    reason: 'unsupported content type application/octet-stream',
+  });
+});
+
+test('returns the Hotel and FAQPage JSON-LD of the crawled pages', async () => {
+  const result = await crawl();
+
+  const [hotelItem] = CrawlerService.getSchemaItems(result, HOTEL_SCHEMA_TYPES);
+  assert.equal(hotelItem.name, 'Lakeview Inn Austin');
+  assert.equal(hotelItem.telephone, '+1 512-555-0142');
+  assert.equal(hotelItem.address.addressLocality, 'Austin');
+
+  const [faqItem] = CrawlerService.getSchemaItems(result, FAQ_SCHEMA_TYPES);
+  assert.deepEqual(faqItem.mainEntity.map(question => question.name), ['What time is check-in?', 'Are pets allowed?']);
+
+  const content = CrawlerService.toPromptContent(result);
+  assert.match(content, /^Structured data \(schema\.org JSON-LD\):\n\[\{"@context":"https:\/\/schema\.org","@type":"Hotel"/);
+  assert.match(content, /"@type":"FAQPage"/);
+  assert.match(content, new RegExp(`Page: ${siteUrl}faq\\.html \\(Frequently asked questions \\| Lakeview Inn Austin\\)`));
+});
+
+test('reads no more than CRAWL_MAX_PAGE_BYTES of a page', async () => {
+  process.env.CRAWL_MAX_PAGES = '1';
+  process.env.CRAWL_MAX_PAGE_BYTES = '1000';
+
+  const [homepage] = (await crawl()).pages;
+
+  assert.equal(homepage.jsonLd.length, 1);
+  assert.match(homepage.text, /Rooms & Suites/);
+  assert.doesNotMatch(homepage.text, /A lakeside hotel/);
+});
+
+test('checks robots.txt of the host a homepage redirects to', async () => {
+  const result = await withRedirectingSite(redirectorUrl => CrawlerService.crawlSite(redirectorUrl));
+
+  assert.deepEqual(result.pages, []);
+  assert.deepEqual(result.skipped, [
+    { url: `${siteUrl}policies.html`, reason: 'disallowed by robots.txt' },
+  ]);
+});
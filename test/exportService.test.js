@@ -0,0 +1,78 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExportService } from '../services/exportService.js';
+
+const row = {
+  id: 7,
+  hotel_uuid: 'hotel-1',
+  name: 'Lakeview Inn Austin',
+  city_state_country: 'Austin, TX, USA',
+  email: 'stay@lakeviewinnaustin.com',
+  main_phone: 'N/A',
+  parking_transportation: 'Free self-parking, "EV" chargers,\nvalet on weekends',
+  policies: 'Check-in 3 PM, check-out 11 AM',
+  amenities: '',
+  updated_at: new Date('2025-06-01T10:00:00Z'),
+  hotel_name: 'Lakeview Inn',
+  hotel_website: 'https://www.lakeviewinnaustin.com/',
+};
+const faqs = [
+  { question: 'Are pets allowed?', answer: 'Dogs up to 25 lbs.', question_hash: 'a1b2c3d4e5f6a7b8c9d0', updated_at: new Date('2025-06-03T08:00:00Z') },
+];
+
+test('builds a document with empty values as null and the newest change as updated_at', () => {
+  const document = ExportService.buildHotelDocument(row, faqs);
+
+  assert.equal(document.name, 'Lakeview Inn Austin');
+  assert.equal(document.fields.main_phone, null);
+  assert.equal(document.fields.amenities, null);
+  assert.equal(document.fields.email, 'stay@lakeviewinnaustin.com');
+  assert.deepEqual(document.updated_at, new Date('2025-06-03T08:00:00Z'));
+  assert.deepEqual(document.faqs, [{ question: 'Are pets allowed?', answer: 'Dogs up to 25 lbs.', question_hash: 'a1b2c3d4e5f6a7b8c9d0' }]);
+});
+
+test('falls back to the hotel_list name when market data has none', () => {
+  const document = ExportService.buildHotelDocument({ ...row, name: null });
+
+  assert.equal(document.name, 'Lakeview Inn');
+});
+
+test('chunks the overview, each category field with a value and each FAQ', () => {
+  const chunks = ExportService.buildKnowledgeChunks(ExportService.buildHotelDocument(row, faqs));
+
+  assert.deepEqual(chunks.map(chunk => [chunk.id, chunk.title]), [
+    ['hotel-1:overview', 'Overview'],
+    ['hotel-1:parking_transportation', 'Parking & transportation'],
+    ['hotel-1:policies', 'Policies'],
+    ['hotel-1:faq:a1b2c3d4e5f6', 'Are pets allowed?'],
+  ]);
+  assert.equal(chunks[0].text, 'Hotel name: Lakeview Inn Austin\nCity, state, country: Austin, TX, USA\nContact email: stay@lakeviewinnaustin.com');
+  assert.equal(chunks[3].text, 'Dogs up to 25 lbs.');
+});
+
+test('quotes CSV values with separators, quotes and line breaks', () => {
+  const line = ExportService.toCsvRow(ExportService.buildHotelDocument(row));
+  const header = ExportService.toCsvHeader();
+
+  assert.ok(header.startsWith('hotel_uuid,name,city_state_country,'));
+  assert.ok(header.endsWith(',updated_at\r\n'));
+  assert.ok(line.startsWith('hotel-1,Lakeview Inn Austin,"Austin, TX, USA",'));
+  assert.ok(line.includes(',"Free self-parking, ""EV"" chargers,\nvalet on weekends",'));
+  assert.ok(line.endsWith(',2025-06-01T10:00:00.000Z\r\n'));
+});
+
+test('renders Markdown sections titled after the capture descriptions', () => {
+  const markdown = ExportService.toMarkdown(ExportService.buildHotelDocument(row, faqs));
+
+  assert.match(markdown, /^# Lakeview Inn Austin\n/);
+  assert.match(markdown, /\n## Parking & transportation\n\nFree self-parking/);
+  assert.match(markdown, /\n## Frequently asked questions\n\n### Are pets allowed\?\n\nDogs up to 25 lbs\.\n$/);
+});
+
+test('separates JSON documents so the export is one array', () => {
+  const document = ExportService.buildHotelDocument(row);
+  const json = `[\n${ExportService.formatDocument(document, 'json', true)}${ExportService.formatDocument(document, 'json', false)}\n]\n`;
+
+  assert.equal(JSON.parse(json).length, 2);
+});
@@ -0,0 +1,37 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FieldRefreshService } from '../services/fieldRefreshService.js';
+
+afterEach(() => {
+  process.env.FIELD_MAX_AGE_DAYS = '';
+  process.env.DEFAULT_FIELD_MAX_AGE_DAYS = '';
+});
+
+test('reads per-field max ages from FIELD_MAX_AGE_DAYS', () => {
+  assert.deepEqual(FieldRefreshService.parseMaxAgeOverrides(' main_phone = 90, policies=30, '), { main_phone: 90, policies: 30 });
+
+  process.env.FIELD_MAX_AGE_DAYS = 'policies=7';
+  assert.equal(FieldRefreshService.getMaxAgeDays('policies'), 7);
+});
+
+test('rejects malformed FIELD_MAX_AGE_DAYS entries and unknown fields', () => {
+  assert.throws(() => FieldRefreshService.parseMaxAgeOverrides('main_phone=90d'), /invalid entry "main_phone=90d"/);
+  assert.throws(() => FieldRefreshService.parseMaxAgeOverrides('main_phone'), /invalid entry "main_phone"/);
+  assert.throws(() => FieldRefreshService.parseMaxAgeOverrides('main_phone=90,polices=30'), /unknown field "polices"/);
+});
+
+test('parses the max age settings once until they change', () => {
+  process.env.FIELD_MAX_AGE_DAYS = 'policies=7';
+  const settings = FieldRefreshService.getMaxAgeSettings();
+  assert.equal(FieldRefreshService.getMaxAgeSettings(), settings);
+
+  process.env.DEFAULT_FIELD_MAX_AGE_DAYS = '0';
+  assert.deepEqual(FieldRefreshService.getMaxAgeSettings(), { overrides: { policies: 7 }, defaultDays: 0 });
+});
+
+test('rejects a DEFAULT_FIELD_MAX_AGE_DAYS that is not a whole number of days', () => {
+  assert.equal(FieldRefreshService.parseDefaultMaxAge(''), 60);
+  assert.throws(() => FieldRefreshService.parseDefaultMaxAge('-5'), /DEFAULT_FIELD_MAX_AGE_DAYS must be a whole number of days/);
+  assert.throws(() => FieldRefreshService.parseDefaultMaxAge('30d'), /got "30d"/);
+});
@@ -0,0 +1,30 @@
+// Settings for offline tests, imported first by every test file: services read them when loaded.
+// Values from .env are overridden so a developer's configuration cannot change the results.
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'perplexity',
+  LLM_PROVIDER_PRIMARY: '',
+  LLM_PROVIDER_CATEGORY: '',
+  LLM_PROVIDER_FAQ: '',
+  LLM_PROVIDER_TRANSLATION: '',
+  LLM_FALLBACK_PROVIDER: '',
+  // Replay needs no key, but the OpenAI client refuses to start without one
+  PERPLEXITY_API_KEY: process.env.LLM_RECORD === '1' ? process.env.PERPLEXITY_API_KEY || '' : 'test-key',
+  PERPLEXITY_MODEL: 'sonar-pro',
+  PERPLEXITY_RATE_LIMIT_PER_MINUTE: '6000',
+  PERPLEXITY_RATE_LIMIT_BURST: '100',
+  AI_MAX_RETRIES: '2',
+  RETRY_BASE_DELAY_MS: '0',
+  RETRY_MAX_DELAY_MS: '0',
+  SCRAPE_MAX_TRY: '2',
+  CRAWL_ENABLED: 'false',
+  CONFIDENCE_THRESHOLD: '0.5',
+  FIELD_MAX_AGE_DAYS: '',
+  DEFAULT_FIELD_MAX_AGE_DAYS: '',
+  TRANSLATION_LOCALES: '',
+  LLM_PRICES: '',
+  HOTEL_BUDGET_USD: '',
+  RUN_BUDGET_USD: '',
+  REVIEW_MODE: 'low_confidence',
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'error',
+});
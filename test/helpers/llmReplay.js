@@ -0,0 +1,132 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { getProvider } from '../../services/llm/index.js';
+
+// Record/replay layer for openai.chat.completions.create streams
+// A fixture (test/fixtures/llm/<name>.json) is one call:
+//   { chunks: [<stream chunk>, ...] }
+//   { error: { status, message, headers } }   for a failed call
+// The fixtures in the repo are written by hand in the shape of Perplexity stream chunks; only fixtures
+// recorded with LLM_RECORD=1 also carry { provider, model, recorded_at }.
+// Replay hands the fixtures out in order, one per create() call, and keeps every request body.
+// Recording: LLM_RECORD=1 plus a real PERPLEXITY_API_KEY sends the requests to the live API
+// and writes the streamed chunks to the fixture files instead.
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'llm');
+
+const fixturePath = (name) => path.join(FIXTURES_DIR, `${name}.json`);
+
+/**
+ * Load a recorded call
+ * @param {string} name - Fixture name without extension
+ * @returns {Object} Fixture content
+ */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(fixturePath(name), 'utf8'));
+}
+
+// Async iterable over recorded chunks, shaped like the openai Stream
+async function* replayChunks(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+/**
+ * Build a client replaying fixtures in order
+ * @param {Array<string>} names - Fixture names, one per expected call
+ * @returns {{client: Object, requests: Array<Object>, remaining: Function}} client for OpenAICompatibleProvider,
+ *   request bodies seen so far and the number of fixtures not used yet
+ */
+export function createReplayClient(names) {
+  const queue = [...names];
+  const requests = [];
+
+  const create = async (body) => {
+    requests.push(body);
+    const name = queue.shift();
+    if (!name) {
+      throw new Error(`No recorded response left for call ${requests.length}`);
+    }
+
+    const fixture = loadFixture(name);
+    if (fixture.error) {
+      const { status, message, headers = {} } = fixture.error;
+      throw Object.assign(new Error(message), { status, headers });
+    }
+    return replayChunks(fixture.chunks);
+  };
+
+  return { client: { chat: { completions: { create } } }, requests, remaining: () => queue.length };
+}
+
+/**
+ * Build a client that forwards calls to a real client and saves each stream as the next fixture
+ * @param {Object} realClient - OpenAI client
+ * @param {Array<string>} names - Fixture names to write, one per call
+ * @param {Object} meta - { provider, model } stored with the recording
+ * @returns {{client: Object, requests: Array<Object>, remaining: Function}}
+ */
+export function createRecordingClient(realClient, names, meta) {
+  const queue = [...names];
+  const requests = [];
+
+  const create = async (body) => {
+    requests.push(body);
+    const name = queue.shift();
+    if (!name) {
+      throw new Error(`No fixture name left for call ${requests.length}`);
+    }
+
+    const save = (content) => writeFileSync(
+      fixturePath(name),
+      `${JSON.stringify({ ...meta, recorded_at: new Date().toISOString(), ...content }, null, 2)}\n`
+    );
+
+    let stream;
+    try {
+      stream = await realClient.chat.completions.create(body);
+    } catch (error) {
+      save({ error: { status: error.status ?? null, message: error.message, headers: error.headers ?? {} } });
+      throw error;
+    }
+
+    return (async function* record() {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+        yield chunk;
+      }
+      save({ chunks });
+    })();
+  };
+
+  return { client: { chat: { completions: { create } } }, requests, remaining: () => queue.length };
+}
+
+/**
+ * Answer the next LLM calls of a provider with fixtures (or record them when LLM_RECORD=1)
+ * The provider instance is shared, so this affects every AIService call until the next useLlmFixtures.
+ * @param {Array<string>} names - Fixture names, one per expected call
+ * @param {string} providerName - Provider from LLM_PROVIDERS (default: perplexity)
+ * @returns {{requests: Array<Object>, remaining: Function}} Request bodies sent and fixtures left
+ */
+export function useLlmFixtures(names, providerName = 'perplexity') {
+  const provider = getProvider(providerName);
+  // Keep the real client around so later calls can record again
+  provider.realClient = provider.realClient || provider.client;
+
+  const replay = process.env.LLM_RECORD === '1'
+    ? createRecordingClient(provider.realClient, names, { provider: provider.name, model: provider.model })
+    : createReplayClient(names);
+  provider.client = replay.client;
+  return { requests: replay.requests, remaining: replay.remaining };
+}
+
+/**
+ * Get the prompt text of a recorded request
+ * @param {Object} request - Body passed to chat.completions.create
+ * @returns {string}
+ */
+export const getPrompt = (request) => request.messages.map(message => message.content).join('\n');
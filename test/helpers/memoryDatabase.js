@@ -0,0 +1,339 @@
+import { setQueryRunner } from '../../config/database.js';
+import { TABLES } from '../../migrations/tables.js';
+
+// In-memory stand-in for MySQL behind executeQuery (config/database.js)
+// It understands the statement shapes the services send:
+//   INSERT INTO t (cols) VALUES (...), (...) [ON DUPLICATE KEY UPDATE col = VALUES(col), ...]
+//   SELECT cols|* FROM t [WHERE ...] [ORDER BY col [ASC|DESC]] [LIMIT n]
+//   UPDATE t SET col = expr, ... WHERE ...
+//   DELETE FROM t WHERE ...
+// WHERE supports "col = ?|literal", "col [NOT] IN (...)" and "col IS [NOT] NULL" joined by AND,
+// and parenthesized groups joined by OR.
+// Anything else throws, so a service query this stand-in cannot answer fails the test loudly.
+
+// Columns of the unique keys hit by ON DUPLICATE KEY UPDATE
+const UNIQUE_KEYS = {
+  [TABLES.marketData]: [['hotel_uuid']],
+  [TABLES.fieldStatus]: [['hotel_uuid', 'field_name']],
+  [TABLES.provenance]: [['market_data_id', 'field_name']],
+  [TABLES.fieldLocks]: [['hotel_uuid', 'field_name']],
+  [TABLES.faqs]: [['hotel_uuid', 'question_hash']],
+  [TABLES.translations]: [['hotel_uuid', 'field_name', 'locale']],
+};
+
+// Tables with a soft delete flag, new rows get is_deleted = 0 like the column default
+const SOFT_DELETE_TABLES = new Set([TABLES.hotels, TABLES.marketData, TABLES.fieldLocks, TABLES.faqs]);
+
+// Split on commas outside parentheses and quotes
+const splitTopLevel = (text, separator = ',') => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === "'") {
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth++;
+    } else if (!quoted && char === ')') {
+      depth--;
+    } else if (!quoted && depth === 0 && char === separator) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+};
+
+// Split on a keyword (" AND ", " OR ") outside parentheses
+const splitOnKeyword = (text, keyword) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '(') {
+      depth++;
+    } else if (text[index] === ')') {
+      depth--;
+    } else if (depth === 0 && text.slice(index, index + keyword.length).toUpperCase() === keyword) {
+      parts.push(text.slice(start, index).trim());
+      start = index + keyword.length;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts;
+};
+
+// MySQL compares loosely ('1' = 1) and NULL never equals anything
+const sqlEquals = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+export class MemoryDatabase {
+
+  constructor() {
+    this.tables = new Map();
+    this.nextIds = new Map();
+    this.queries = [];
+  }
+
+  /**
+   * Route executeQuery to this database until restore() is called
+   * @returns {MemoryDatabase} this
+   */
+  install() {
+    setQueryRunner((query, params) => this.execute(query, params));
+    return this;
+  }
+
+  // Send executeQuery back to the MySQL pool
+  restore() {
+    setQueryRunner(null);
+  }
+
+  /**
+   * Get the rows of a table (the live array, tests may inspect it directly)
+   * @param {string} table - Table name
+   * @returns {Array<Object>}
+   */
+  rows(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+    }
+    return this.tables.get(table);
+  }
+
+  /**
+   * Add rows to a table as they would be stored, with an auto-increment id when none is given
+   * @param {string} table - Table name
+   * @param {Array<Object>} rows - Rows to add
+   * @returns {Array<Object>} Stored rows
+   */
+  seed(table, rows) {
+    return rows.map(row => this.storeRow(table, { ...row }));
+  }
+
+  storeRow(table, row) {
+    const nextId = this.nextIds.get(table) || 1;
+    if (row.id === undefined) {
+      row.id = nextId;
+    }
+    this.nextIds.set(table, Math.max(nextId, row.id + 1));
+    if (SOFT_DELETE_TABLES.has(table) && row.is_deleted === undefined) {
+      row.is_deleted = 0;
+    }
+    this.rows(table).push(row);
+    return row;
+  }
+
+  /**
+   * Run a statement, returning rows for SELECT and { insertId, affectedRows } otherwise like mysql2
+   * @param {string} query - SQL statement
+   * @param {Array} params - Values of the ? placeholders
+   * @returns {Promise<Array<Object>|Object>}
+   * @throws {Error} When the statement is not understood
+   */
+  async execute(query, params = []) {
+    const sql = query.replace(/\s+/g, ' ').trim();
+    this.queries.push({ sql, params });
+    const values = [...params];
+
+    if (/^INSERT /i.test(sql)) {
+      return this.insert(sql, values);
+    }
+    if (/^SELECT /i.test(sql)) {
+      return this.select(sql, values);
+    }
+    if (/^UPDATE /i.test(sql)) {
+      return this.update(sql, values);
+    }
+    if (/^DELETE /i.test(sql)) {
+      return this.delete(sql, values);
+    }
+    throw new Error(`MemoryDatabase does not support: ${sql}`);
+  }
+
+  // Resolve one expression: a placeholder (consumes the next param), CURRENT_TIMESTAMP or a literal
+  readValue(expression, values) {
+    const text = expression.trim();
+    if (text === '?') {
+      if (values.length === 0) {
+        throw new Error('Not enough parameters for the query');
+      }
+      const value = values.shift();
+      return value === undefined ? null : value;
+    }
+    if (/^CURRENT_TIMESTAMP$/i.test(text)) {
+      return new Date();
+    }
+    if (/^NULL$/i.test(text)) {
+      return null;
+    }
+    if (/^'.*'$/.test(text)) {
+      return text.slice(1, -1);
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+      return Number(text);
+    }
+    throw new Error(`MemoryDatabase does not support the expression: ${text}`);
+  }
+
+  // Build a row filter from a WHERE clause, consuming its placeholders
+  readWhere(where, values) {
+    if (!where) {
+      return () => true;
+    }
+
+    const conditions = splitOnKeyword(where, ' AND ').map(condition => {
+      let match = condition.match(/^\((.*)\)$/);
+      if (match) {
+        const alternatives = splitOnKeyword(match[1], ' OR ').map(alternative => this.readWhere(alternative, values));
+        return row => alternatives.some(alternative => alternative(row));
+      }
+      match = condition.match(/^(\w+) (NOT )?IN \((.*)\)$/i);
+      if (match) {
+        const [, column, not, list] = match;
+        const options = splitTopLevel(list).map(item => this.readValue(item, values));
+        return row => options.some(option => sqlEquals(row[column], option)) === !not;
+      }
+      match = condition.match(/^(\w+) IS (NOT )?NULL$/i);
+      if (match) {
+        const [, column, not] = match;
+        return row => (row[column] === null || row[column] === undefined) === !not;
+      }
+      match = condition.match(/^(\w+) = (.+)$/);
+      if (match) {
+        const [, column, expression] = match;
+        const expected = this.readValue(expression, values);
+        return row => sqlEquals(row[column], expected);
+      }
+      throw new Error(`MemoryDatabase does not support the condition: ${condition}`);
+    });
+
+    return row => conditions.every(condition => condition(row));
+  }
+
+  findDuplicate(table, row) {
+    const keys = UNIQUE_KEYS[table] || [];
+    return this.rows(table).find(existing => keys.some(columns => columns.every(column => sqlEquals(existing[column], row[column]))));
+  }
+
+  insert(sql, values) {
+    const match = sql.match(/^INSERT INTO (\w+) ?\(([^)]*)\) VALUES (.+?)(?: ON DUPLICATE KEY UPDATE (.+))?$/i);
+    if (!match) {
+      throw new Error(`MemoryDatabase does not support: ${sql}`);
+    }
+    const [, table, columnList, tupleList, onDuplicate] = match;
+    const columns = columnList.split(',').map(column => column.trim());
+    const tuples = splitTopLevel(tupleList).map(tuple => splitTopLevel(tuple.replace(/^\(|\)$/g, '')));
+
+    // ON DUPLICATE KEY UPDATE only copies the inserted values: col = VALUES(col)
+    const updatedColumns = onDuplicate
+      ? splitTopLevel(onDuplicate).map(assignment => {
+        const assignmentMatch = assignment.match(/^(\w+) = VALUES\((\w+)\)$/i);
+        if (!assignmentMatch || assignmentMatch[1] !== assignmentMatch[2]) {
+          throw new Error(`MemoryDatabase does not support the update: ${assignment}`);
+        }
+        return assignmentMatch[1];
+      })
+      : null;
+
+    let insertId = 0;
+    let affectedRows = 0;
+    tuples.forEach(tuple => {
+      const row = {};
+      columns.forEach((column, index) => {
+        row[column] = this.readValue(tuple[index], values);
+      });
+
+      const duplicate = this.findDuplicate(table, row);
+      if (duplicate && updatedColumns) {
+        updatedColumns.forEach(column => {
+          duplicate[column] = row[column];
+        });
+        affectedRows += 2;
+        return;
+      }
+      if (duplicate) {
+        throw Object.assign(new Error(`Duplicate entry for a unique key of ${table}`), { code: 'ER_DUP_ENTRY' });
+      }
+
+      const stored = this.storeRow(table, row);
+      insertId = insertId || stored.id;
+      affectedRows++;
+    });
+
+    return { insertId, affectedRows };
+  }
+
+  select(sql, values) {
+    const match = sql.match(/^SELECT (.+?) FROM (\w+)(?: WHERE (.+?))?(?: ORDER BY (\w+)(?: (ASC|DESC))?)?(?: LIMIT (\d+))?$/i);
+    if (!match) {
+      throw new Error(`MemoryDatabase does not support: ${sql}`);
+    }
+    const [, columnList, table, where, orderBy, direction, limit] = match;
+    const filter = this.readWhere(where, values);
+    let rows = this.rows(table).filter(filter);
+
+    if (orderBy) {
+      const sign = direction?.toUpperCase() === 'DESC' ? -1 : 1;
+      rows = [...rows].sort((a, b) => (a[orderBy] > b[orderBy] ? sign : a[orderBy] < b[orderBy] ? -sign : 0));
+    }
+    if (limit) {
+      rows = rows.slice(0, parseInt(limit, 10));
+    }
+
+    if (columnList.trim() === '*') {
+      return rows.map(row => ({ ...row }));
+    }
+    const columns = splitTopLevel(columnList).map(column => {
+      const [name, alias] = column.split(/ AS /i).map(part => part.trim());
+      return { name, alias: alias || name };
+    });
+    return rows.map(row => Object.fromEntries(columns.map(({ name, alias }) => [alias, row[name] ?? null])));
+  }
+
+  update(sql, values) {
+    const match = sql.match(/^UPDATE (\w+) SET (.+?) WHERE (.+)$/i);
+    if (!match) {
+      throw new Error(`MemoryDatabase does not support: ${sql}`);
+    }
+    const [, table, setClause, where] = match;
+
+    // SET placeholders come before WHERE placeholders
+    const assignments = splitTopLevel(setClause).map(assignment => {
+      const assignmentMatch = assignment.match(/^(\w+) = (.+)$/);
+      if (!assignmentMatch) {
+        throw new Error(`MemoryDatabase does not support the assignment: ${assignment}`);
+      }
+      return { column: assignmentMatch[1], value: this.readValue(assignmentMatch[2], values) };
+    });
+    const filter = this.readWhere(where, values);
+
+    const rows = this.rows(table).filter(filter);
+    rows.forEach(row => {
+      assignments.forEach(({ column, value }) => {
+        row[column] = value;
+      });
+    });
+    return { affectedRows: rows.length };
+  }
+
+  delete(sql, values) {
+    const match = sql.match(/^DELETE FROM (\w+) WHERE (.+)$/i);
+    if (!match) {
+      throw new Error(`MemoryDatabase does not support: ${sql}`);
+    }
+    const [, table, where] = match;
+    const filter = this.readWhere(where, values);
+
+    const rows = this.rows(table);
+    const kept = rows.filter(row => !filter(row));
+    const affectedRows = rows.length - kept.length;
+    rows.splice(0, rows.length, ...kept);
+    return { affectedRows };
+  }
+}
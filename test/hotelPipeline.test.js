@@ -0,0 +1,277 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processHotelWithRetry, processHotel } from '../pipeline/hotelPipeline.js';
+import { runBatch } from '../pipeline/batch.js';
+import { FieldLockService } from '../services/fieldLockService.js';
+import { TABLES } from '../migrations/tables.js';
+import { CostBudget } from '../utils/budget.js';
+import { MemoryDatabase } from './helpers/memoryDatabase.js';
+import { useLlmFixtures, getPrompt } from './helpers/llmReplay.js';
+
+const hotel = { hotel_uuid: 'hotel-1', name: 'Lakeview Inn Austin', website: null, city: 'Austin', address: null };
+const FIELDS = ['name', 'city_state_country', 'email', 'main_phone', 'amenities'];
+
+let db;
+
+beforeEach(() => {
+  db = new MemoryDatabase().install();
+});
+
+afterEach(() => {
+  db.restore();
+});
+
+test('inserts a new hotel, retrying only the fields still empty', async () => {
+  const { requests, remaining } = useLlmFixtures(['market_data_fenced_partial', 'market_data_retry_cited', 'faq_fenced_duplicates']);
+
+  const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', runId: 'run-1' });
+
+  assert.equal(remaining(), 0);
+  assert.equal(result.status, 'success');
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.emptyFields, []);
+  assert.deepEqual(result.filledFields, FIELDS);
+  assert.equal(result.usage.length, 3);
+
+  // "N/A" and missing keys count as empty, so the second attempt asks for those two only
+  const retryPrompt = getPrompt(requests[1]);
+  assert.match(retryPrompt, /"main_phone":/);
+  assert.match(retryPrompt, /"amenities":/);
+  assert.doesNotMatch(retryPrompt, /"email":/);
+
+  const [row] = db.rows(TABLES.marketData);
+  assert.equal(db.rows(TABLES.marketData).length, 1);
+  assert.equal(row.hotel_uuid, 'hotel-1');
+  assert.equal(row.name, 'Lakeview Inn Austin');
+  assert.equal(row.email, 'stay@lakeviewinnaustin.com');
+  assert.equal(row.main_phone, '+15125550142');
+  assert.equal(row.amenities, 'Outdoor pool, fitness center, free Wi-Fi, lakeside terrace');
+
+  const history = db.rows(TABLES.history);
+  assert.deepEqual(history.map(change => change.field_name).sort(), [...FIELDS].sort());
+  assert.ok(history.every(change => change.old_value === null && change.run_id === 'run-1'));
+
+  const provenance = db.rows(TABLES.provenance).find(item => item.field_name === 'main_phone');
+  assert.deepEqual(JSON.parse(provenance.source_urls), ['https://www.lakeviewinnaustin.com/contact']);
+  assert.equal(provenance.attempt, 2);
+  assert.equal(db.rows(TABLES.fieldStatus).length, FIELDS.length);
+
+  assert.deepEqual(db.rows(TABLES.faqs).map(faq => faq.question), [
+    'What time is check-in?',
+    'Is parking available?',
+    'Are pets allowed?',
+  ]);
+});
+
+test('updates the stored row and records the replaced values', async () => {
+  const [stored] = db.seed(TABLES.marketData, [{
+    hotel_uuid: 'hotel-1',
+    name: 'Lakeview Inn',
+    city_state_country: 'Austin, TX, USA',
+    email: 'info@lakeviewinnaustin.com',
+    main_phone: null,
+    amenities: null,
+  }]);
+  useLlmFixtures(['market_data_complete']);
+
+  const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', skipFaq: true, runId: 'run-2' });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.attempts, 1);
+  assert.equal(db.rows(TABLES.marketData).length, 1);
+  assert.equal(stored.name, 'Lakeview Inn & Suites Austin');
+  assert.equal(stored.email, 'frontdesk@lakeviewinnaustin.com');
+  assert.equal(stored.main_phone, '+15125550142');
+
+  const nameChange = db.rows(TABLES.history).find(change => change.field_name === 'name');
+  assert.equal(nameChange.market_data_id, stored.id);
+  assert.equal(nameChange.old_value, 'Lakeview Inn');
+  assert.equal(nameChange.new_value, 'Lakeview Inn & Suites Austin');
+  // Unchanged values are not part of the history
+  assert.equal(db.rows(TABLES.history).some(change => change.field_name === 'city_state_country'), false);
+});
+
+test('holds new and changed values for review in the default review mode', async () => {
+  const [stored] = db.seed(TABLES.marketData, [{
+    hotel_uuid: 'hotel-1',
+    name: 'Lakeview Inn',
+    city_state_country: 'Austin, TX, USA',
+    email: null,
+  }]);
+  useLlmFixtures(['market_data_complete']);
+  process.env.REVIEW_MODE = '';
+
+  try {
+    const result = await processHotelWithRetry(hotel, { fields: ['name', 'city_state_country', 'email'], mode: 'full', skipFaq: true, runId: 'run-11' });
+
+    assert.deepEqual(result.needsReview.sort(), ['email', 'name']);
+    const pending = db.rows(TABLES.pendingValues);
+    assert.deepEqual(pending.map(item => [item.field_name, item.reason, item.value, item.old_value]).sort(), [
+      ['email', 'new', 'frontdesk@lakeviewinnaustin.com', null],
+      ['name', 'changed', 'Lakeview Inn & Suites Austin', 'Lakeview Inn'],
+    ]);
+    // Only the unchanged value is written
+    assert.equal(stored.name, 'Lakeview Inn');
+    assert.equal(stored.email, null);
+    assert.equal(stored.city_state_country, 'Austin, TX, USA');
+  } finally {
+    process.env.REVIEW_MODE = 'low_confidence';
+  }
+});
+
+test('retries after a truncated stream and reports the failed attempt', async () => {
+  useLlmFixtures(['market_data_truncated', 'market_data_complete']);
+
+  const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', skipFaq: true, runId: 'run-3' });
+
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.emptyFields, []);
+  assert.equal(result.status, 'partial');
+  assert.match(result.errors[0], /^Attempt 1: No JSON found in response/);
+  assert.equal(db.rows(TABLES.marketData)[0].name, 'Lakeview Inn & Suites Austin');
+});
+
+test('fails the hotel when no attempt returned data', async () => {
+  useLlmFixtures(['market_data_no_json', 'market_data_no_json']);
+
+  const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', skipFaq: true, runId: 'run-4' });
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.emptyFields, FIELDS);
+  assert.equal(result.errors.length, 2);
+  // Answers without JSON still cost tokens
+  assert.equal(result.usage.length, 2);
+});
+
+test('never requests or writes locked fields', async () => {
+  db.seed(TABLES.fieldLocks, [{ hotel_uuid: 'hotel-1', field_name: 'email', locked_by: 'jane' }]);
+  const { requests } = useLlmFixtures(['market_data_complete']);
+
+  const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', skipFaq: true, runId: 'run-5' });
+
+  assert.doesNotMatch(getPrompt(requests[0]), /"email":/);
+  assert.equal(result.filledFields.includes('email'), false);
+  assert.equal(db.rows(TABLES.marketData)[0].email, undefined);
+  // Locks are read once per hotel and passed on to the save
+  const lockQueries = db.queries.filter(({ sql }) => sql.includes(TABLES.fieldLocks));
+  assert.equal(lockQueries.length, 1);
+});
+
+test('refuses to lock a field that does not exist', async () => {
+  await assert.rejects(FieldLockService.lockField('hotel-1', 'emial'), /Unknown field "emial"/);
+  assert.deepEqual(db.rows(TABLES.fieldLocks), []);
+});
+
+test('holds values below the confidence threshold for review', async () => {
+  useLlmFixtures(['market_data_fenced_partial', 'market_data_retry_cited']);
+  process.env.CONFIDENCE_THRESHOLD = '0.65';
+
+  try {
+    const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', skipFaq: true, runId: 'run-6' });
+
+    // Cited free text scores 0.6, validated types (email, phone, location) 0.7
+    assert.deepEqual(result.needsReview.sort(), ['amenities', 'name']);
+    assert.equal(result.filledFields.includes('name'), false);
+    const pending = db.rows(TABLES.pendingValues).find(item => item.field_name === 'name');
+    assert.equal(pending.value, 'Lakeview Inn Austin');
+    assert.equal(pending.reason, 'low_confidence');
+    assert.equal(db.rows(TABLES.marketData)[0].name, undefined);
+  } finally {
+    process.env.CONFIDENCE_THRESHOLD = '0.5';
+  }
+});
+
+test('soft-deletes stored FAQs missing from the latest fetch', async () => {
+  db.seed(TABLES.faqs, [{ hotel_uuid: 'hotel-1', question: 'Is there a spa?', answer: 'Yes.', question_hash: 'old-hash' }]);
+  useLlmFixtures(['faq_fenced_duplicates']);
+
+  const result = await processHotelWithRetry(hotel, { fields: [], mode: 'full', runId: 'run-7' });
+
+  assert.deepEqual(result.errors, []);
+  const faqs = db.rows(TABLES.faqs);
+  assert.equal(faqs.find(faq => faq.question === 'Is there a spa?').is_deleted, 1);
+  assert.equal(faqs.filter(faq => faq.is_deleted === 0).length, 3);
+});
+
+test('keeps stored FAQs when every fetched answer is N/A', async () => {
+  db.seed(TABLES.faqs, [{ hotel_uuid: 'hotel-1', question: 'Is there a spa?', answer: 'Yes.', question_hash: 'old-hash' }]);
+  useLlmFixtures(['faq_all_na']);
+
+  const result = await processHotelWithRetry(hotel, { fields: [], mode: 'full', runId: 'run-12' });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(db.rows(TABLES.faqs).map(faq => [faq.question, faq.is_deleted]), [['Is there a spa?', 0]]);
+});
+
+test('writes nothing on a dry run', async () => {
+  useLlmFixtures(['market_data_complete', 'faq_fenced_duplicates']);
+
+  const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', dryRun: true, runId: 'run-8' });
+
+  assert.equal(result.status, 'success');
+  assert.ok(db.queries.every(({ sql }) => sql.startsWith('SELECT')));
+});
+
+test('stops retrying and skips FAQs once the hotel budget is used up', async () => {
+  const { remaining } = useLlmFixtures(['market_data_fenced_partial']);
+  process.env.HOTEL_BUDGET_USD = '0.005';
+
+  try {
+    const result = await processHotelWithRetry(hotel, { fields: FIELDS, mode: 'full', runId: 'run-9' });
+
+    assert.equal(remaining(), 0);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.status, 'partial');
+    assert.deepEqual(result.emptyFields, ['main_phone', 'amenities']);
+    // sonar-pro: 412 input and 76 output tokens plus the request fee
+    assert.equal(result.usage[0].cost_usd.toFixed(6), '0.008376');
+    assert.deepEqual(result.errors, [
+      'Hotel budget of $0.0050 reached ($0.0084 spent)',
+      'FAQ: skipped, Hotel budget of $0.0050 reached ($0.0084 spent)',
+    ]);
+  } finally {
+    process.env.HOTEL_BUDGET_USD = '';
+  }
+});
+
+test('records the cost of a hotel that failed after its AI calls', async () => {
+  useLlmFixtures(['market_data_complete']);
+  const execute = db.execute.bind(db);
+  db.execute = (query, params) => {
+    if (new RegExp(`INSERT INTO ${TABLES.marketData}\\s`).test(query)) {
+      throw new Error('Lock wait timeout exceeded');
+    }
+    return execute(query, params);
+  };
+  const runBudget = new CostBudget({ label: 'Run', limitUsd: null });
+
+  const result = await processHotel(hotel, { fields: FIELDS, mode: 'full', skipFaq: true, runId: 'run-11' }, { trackRun: true, runBudget });
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.usage.length, 1);
+  assert.ok(runBudget.spentUsd > 0);
+  const [item] = db.rows(TABLES.runItems);
+  assert.equal(item.status, 'failed');
+  assert.equal(item.llm_calls, 1);
+  assert.equal(item.cost_usd, runBudget.spentUsd.toFixed(6));
+});
+
+test('starts no further hotels once the run budget is used up', async () => {
+  db.seed(TABLES.hotels, [
+    { hotel_uuid: 'hotel-1', name: 'Lakeview Inn Austin' },
+    { hotel_uuid: 'hotel-2', name: 'Riverside Lodge Austin' },
+  ]);
+  const { requests } = useLlmFixtures(['market_data_complete']);
+  process.env.RUN_BUDGET_USD = '0.005';
+
+  try {
+    const status = await runBatch({ fields: FIELDS, mode: 'full', skipFaq: true, dryRun: true, concurrency: 1, runId: 'run-10' });
+
+    assert.equal(status, 'interrupted');
+    assert.equal(requests.length, 1);
+  } finally {
+    process.env.RUN_BUDGET_USD = '';
+  }
+});
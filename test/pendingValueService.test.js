@@ -0,0 +1,66 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PendingValueService } from '../services/pendingValueService.js';
+import { TABLES } from '../migrations/tables.js';
+import { MemoryDatabase } from './helpers/memoryDatabase.js';
+
+const pending = (value) => ({ main_phone: { value, confidence: 0.7, reason: 'changed', oldValue: '+15125550100' } });
+
+let db;
+
+beforeEach(() => {
+  db = new MemoryDatabase().install();
+});
+
+afterEach(() => {
+  db.restore();
+});
+
+test('supersedes a waiting value with a different one and keeps an identical one', async () => {
+  assert.equal(await PendingValueService.savePendingValues('hotel-1', 'run-1', pending('+15125550142')), 1);
+  assert.equal(await PendingValueService.savePendingValues('hotel-1', 'run-2', pending('+15125550142')), 0);
+  assert.equal(await PendingValueService.savePendingValues('hotel-1', 'run-3', pending('+15125550199')), 1);
+
+  assert.deepEqual(db.rows(TABLES.pendingValues).map(row => [row.run_id, row.status]), [
+    ['run-1', 'superseded'],
+    ['run-3', 'needs_review'],
+  ]);
+});
+
+test('does not queue a value again after it was rejected', async () => {
+  await PendingValueService.savePendingValues('hotel-1', 'run-1', pending('+15125550142'));
+  const [row] = db.rows(TABLES.pendingValues);
+  await PendingValueService.reject(row.id, { reviewedBy: 'jane' });
+
+  assert.equal(await PendingValueService.savePendingValues('hotel-1', 'run-2', pending('+15125550142')), 0);
+  assert.equal(await PendingValueService.savePendingValues('hotel-1', 'run-3', pending('+15125550199')), 1);
+  assert.deepEqual(db.rows(TABLES.pendingValues).map(row => [row.run_id, row.status]), [
+    ['run-1', 'rejected'],
+    ['run-3', 'needs_review'],
+  ]);
+});
+
+test('applies an approved value once', async () => {
+  const [stored] = db.seed(TABLES.marketData, [{ hotel_uuid: 'hotel-1', main_phone: '+15125550100' }]);
+  await PendingValueService.savePendingValues('hotel-1', 'run-1', pending('+15125550142'));
+  const [row] = db.rows(TABLES.pendingValues);
+
+  await PendingValueService.approve(row.id, { reviewedBy: 'jane' });
+
+  assert.equal(stored.main_phone, '+15125550142');
+  assert.equal(row.status, 'approved');
+  assert.equal(row.applied_value, '+15125550142');
+  await assert.rejects(PendingValueService.approve(row.id), /already approved/);
+});
+
+test('normalizes an edited value with the country of the stored row', async () => {
+  const [stored] = db.seed(TABLES.marketData, [{ hotel_uuid: 'hotel-1', city_state_country: 'Austin, TX, USA', main_phone: '+15125550100' }]);
+  await PendingValueService.savePendingValues('hotel-1', 'run-1', pending('+15125550142'));
+  const [row] = db.rows(TABLES.pendingValues);
+
+  const applied = await PendingValueService.approve(row.id, { value: '(512) 555-0101', reviewedBy: 'jane' });
+
+  assert.deepEqual(applied, { field_name: 'main_phone', value: '+15125550101' });
+  assert.equal(stored.main_phone, '+15125550101');
+});
@@ -0,0 +1,100 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TranslationService } from '../services/translationService.js';
+import { TABLES } from '../migrations/tables.js';
+import { MemoryDatabase } from './helpers/memoryDatabase.js';
+import { useLlmFixtures, getPrompt } from './helpers/llmReplay.js';
+
+const hotel = { hotel_uuid: 'hotel-1', name: 'Lakeview Inn Austin' };
+const marketData = {
+  hotel_uuid: 'hotel-1',
+  parking_transportation: 'Free self-parking, EV chargers',
+  policies: 'Check-in 3 PM, check-out 11 AM',
+  amenities: 'N/A',
+};
+const faqs = [{ question: 'Are pets allowed?', answer: 'Dogs up to 25 lbs.' }];
+const FAQ_KEY = 'faq:38795f80066c91a6d2229d16d94936415f4be74e';
+
+let db;
+
+beforeEach(() => {
+  db = new MemoryDatabase().install();
+  process.env.TRANSLATION_LOCALES = 'es';
+});
+
+afterEach(() => {
+  db.restore();
+  process.env.TRANSLATION_LOCALES = '';
+});
+
+test('parses TRANSLATION_LOCALES, dropping duplicates and the English source', () => {
+  assert.deepEqual(TranslationService.getLocales(' es, fr,es,en ,pt-BR'), ['es', 'fr', 'pt-BR']);
+  assert.deepEqual(TranslationService.getLocales(''), []);
+  assert.throws(() => TranslationService.getLocales('es,French'), /invalid locale\(s\): French/);
+});
+
+test('translates category fields with a value and FAQ pairs into one row each', async () => {
+  const { requests, remaining } = useLlmFixtures(['translation_es']);
+
+  const result = await TranslationService.translateHotel(hotel, marketData, faqs);
+
+  assert.equal(remaining(), 0);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.translated, 3);
+  assert.equal(result.usage.length, 1);
+
+  // Empty fields are not sent, FAQ pairs are sent as a question and an answer
+  const prompt = getPrompt(requests[0]);
+  assert.match(prompt, /to Spanish \(es\)/);
+  assert.doesNotMatch(prompt, /"amenities":/);
+  assert.match(prompt, new RegExp(`"${FAQ_KEY}.question": "Are pets allowed\\?"`));
+
+  const rows = await TranslationService.getTranslations('hotel-1', 'es');
+  assert.deepEqual(rows.map(row => [row.field_name, row.question, row.value]), [
+    [FAQ_KEY, '¿Se admiten mascotas?', 'Perros de hasta 25 lbs.'],
+    ['parking_transportation', null, 'Aparcamiento gratuito, cargadores para vehículos eléctricos'],
+    ['policies', null, 'Check-in a las 3 PM, check-out a las 11 AM'],
+  ]);
+});
+
+test('re-translates only changed sources and removes translations without a source', async () => {
+  useLlmFixtures(['translation_es']);
+  await TranslationService.translateHotel(hotel, marketData, faqs);
+  const { requests, remaining } = useLlmFixtures(['translation_es_policies']);
+
+  const changed = { ...marketData, policies: 'Check-in 4 PM, check-out 11 AM' };
+  const result = await TranslationService.translateHotel(hotel, changed, []);
+
+  assert.equal(remaining(), 0);
+  assert.equal(result.translated, 1);
+  assert.equal(result.deleted, 1);
+  const prompt = getPrompt(requests[0]);
+  assert.match(prompt, /"policies": "Check-in 4 PM/);
+  assert.doesNotMatch(prompt, /parking_transportation/);
+
+  const rows = db.rows(TABLES.translations);
+  assert.deepEqual(rows.map(row => row.field_name).sort(), ['parking_transportation', 'policies']);
+  assert.equal(rows.find(row => row.field_name === 'policies').value, 'Check-in a las 4 PM, check-out a las 11 AM');
+});
+
+test('skips the AI when every translation is up to date', async () => {
+  useLlmFixtures(['translation_es']);
+  await TranslationService.translateHotel(hotel, marketData, faqs);
+  const { requests } = useLlmFixtures([]);
+
+  const result = await TranslationService.translateHotel(hotel, marketData, faqs);
+
+  assert.equal(requests.length, 0);
+  assert.deepEqual(result, { translated: 0, deleted: 0, usage: [], errors: [] });
+});
+
+test('treats every translation as obsolete once no locale is configured', async () => {
+  useLlmFixtures(['translation_es']);
+  await TranslationService.translateHotel(hotel, marketData, faqs);
+
+  const deleted = await TranslationService.deleteObsolete('hotel-1', ['parking_transportation', 'policies', FAQ_KEY], []);
+
+  assert.equal(deleted, 3);
+  assert.deepEqual(db.rows(TABLES.translations), []);
+});
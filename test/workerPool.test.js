@@ -0,0 +1,17 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWithConcurrency } from '../utils/workerPool.js';
+
+test('keeps processing the other items when one item fails', async () => {
+  const processed = [];
+
+  await runWithConcurrency([1, 2, 3, 4], 2, async (item) => {
+    if (item === 2) {
+      throw new Error('boom');
+    }
+    processed.push(item);
+  });
+
+  assert.deepEqual(processed, [1, 3, 4]);
+});
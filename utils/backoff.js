@@ -0,0 +1,83 @@
+// Retry delay helpers shared by the hotel retry loop and AI calls
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check if an error is a rate limit (HTTP 429) response
+ * @param {Error} error - Error thrown by the API client
+ * @returns {boolean}
+ */
+export const isRateLimitError = (error) => error?.status === 429;
+
+/**
+ * Check if an error is worth retrying (rate limits, server errors, network failures)
+ * @param {Error} error - Error thrown by the API client
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  const status = error?.status;
+  if (status === undefined || status === null) {
+    // No HTTP status means the request never got a response (timeout, connection reset)
+    return true;
+  }
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+};
+
+/**
+ * Read the delay requested by retry-after-ms / retry-after response headers
+ * @param {Error} error - Error thrown by the API client (openai errors expose a plain headers object)
+ * @returns {number|null} Delay in milliseconds or null when the server gave no hint
+ */
+export const getRetryAfterMs = (error) => {
+  const headers = error?.headers;
+  if (!headers) {
+    return null;
+  }
+
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (!Number.isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined || retryAfter === null) {
+    return null;
+  }
+
+  // retry-after is either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Exponential backoff with full jitter, honoring retry-after when the server sends it
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ * @param {Object} options
+ * @param {number} options.baseMs - Delay for the first retry (default: RETRY_BASE_DELAY_MS env or 2000)
+ * @param {number} options.maxMs - Upper bound for a single delay (default: RETRY_MAX_DELAY_MS env or 60000)
+ * @param {Error} options.error - Optional error, used to read retry-after headers
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, { baseMs, maxMs, error } = {}) => {
+  const base = baseMs ?? parseInt(process.env.RETRY_BASE_DELAY_MS || '2000', 10);
+  const max = maxMs ?? parseInt(process.env.RETRY_MAX_DELAY_MS || '60000', 10);
+
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs !== null) {
+    // Small jitter on top so workers that were throttled together do not retry together
+    return Math.round(Math.min(retryAfterMs, max) + Math.random() * Math.min(base, 1000));
+  }
+
+  const exponential = Math.min(base * 2 ** Math.max(attempt - 1, 0), max);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
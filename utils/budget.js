@@ -0,0 +1,76 @@
+import { formatCost } from './usage.js';
+
+/**
+ * Read a budget in USD from the environment (HOTEL_BUDGET_USD, RUN_BUDGET_USD)
+ * @param {string} name - Environment variable name
+ * @returns {number|null} Budget, null when unset or 0 (no limit)
+ * @throws {Error} When the value is not a non-negative number
+ */
+export function getBudgetLimit(name) {
+  const rawValue = (process.env[name] || '').trim();
+  if (!rawValue) {
+    return null;
+  }
+  if (!/^\d+(\.\d+)?$/.test(rawValue)) {
+    throw new Error(`${name} must be an amount in USD, e.g. 0.50 (got "${rawValue}")`);
+  }
+  const limit = parseFloat(rawValue);
+  return limit > 0 ? limit : null;
+}
+
+/**
+ * Spending limit for AI calls
+ * Costs added to a budget are also added to its parent, so a hotel budget counts towards the run budget
+ * and is exhausted as soon as the run budget is.
+ * The check happens between AI calls: a call in flight always finishes, so spending can end slightly above the limit.
+ * @example
+ * const runBudget = new CostBudget({ label: 'Run', limitUsd: getBudgetLimit('RUN_BUDGET_USD') });
+ * const hotelBudget = new CostBudget({ label: 'Hotel', limitUsd: 0.5, parent: runBudget });
+ * hotelBudget.add(fetched.usage);
+ * if (hotelBudget.isExceeded()) { ... }
+ */
+export class CostBudget {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.label - Name used in messages, e.g. 'Hotel' or 'Run'
+   * @param {number|null} options.limitUsd - Limit in USD, null for no limit
+   * @param {CostBudget|null} options.parent - Budget this one counts towards
+   */
+  constructor({ label, limitUsd = null, parent = null }) {
+    this.label = label;
+    this.limitUsd = limitUsd;
+    this.parent = parent;
+    this.spentUsd = 0;
+  }
+
+  /**
+   * Record the cost of AI calls
+   * @param {Object|Array<Object>|null} usage - Usage entries (or one entry) with cost_usd
+   */
+  add(usage) {
+    const entries = [usage].flat().filter(Boolean);
+    const cost = entries.reduce((sum, entry) => sum + (entry.cost_usd || 0), 0);
+    this.spentUsd += cost;
+    this.parent?.add({ cost_usd: cost });
+  }
+
+  /**
+   * Check whether this budget or one of its parents is used up
+   * @returns {boolean}
+   */
+  isExceeded() {
+    return (this.limitUsd !== null && this.spentUsd >= this.limitUsd) || Boolean(this.parent?.isExceeded());
+  }
+
+  /**
+   * Describe the budget that is used up, for logs and run errors
+   * @returns {string|null} e.g. 'Hotel budget of $0.5000 reached ($0.5123 spent)', null when not exceeded
+   */
+  getExceededMessage() {
+    if (this.limitUsd !== null && this.spentUsd >= this.limitUsd) {
+      return `${this.label} budget of ${formatCost(this.limitUsd)} reached (${formatCost(this.spentUsd)} spent)`;
+    }
+    return this.parent?.getExceededMessage() ?? null;
+  }
+}
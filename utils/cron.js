@@ -0,0 +1,128 @@
+// Minimal 5-field cron expressions for the scheduler: "minute hour day-of-month month day-of-week"
+// Each field takes *, numbers, ranges (1-5), steps (*/15, 1-30/5) and comma separated lists.
+// Day of week is 0-7 with both 0 and 7 meaning Sunday. Times are local (set TZ to change the zone).
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Upper bound for the search, an expression like "0 0 31 2 *" never matches
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. "1-30/5"
+ * @param {{name: string, min: number, max: number}} field - Field bounds
+ * @returns {Set<number>}
+ * @throws {Error} When the field is invalid
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${part}"`);
+    }
+
+    const [, range, stepText] = match;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (to === undefined) {
+      // "5/15" means from 5 to the end in steps of 15
+      to = stepText ? max : from;
+    }
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Cron ${name} "${part}" is out of range ${min}-${max}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "43 21 * * *" for every day at 21:43
+ * @returns {Object} Schedule for getNextRun
+ * @throws {Error} When the expression is invalid
+ * @example
+ * const schedule = parseCron('0 3 * * 1-5'); // 03:00 on weekdays
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression: parts.join(' '),
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in standard cron, when both day fields are restricted a day matching either one runs
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+// Check the day part of a schedule
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Get the first time after a date that the schedule matches
+ * @param {Object} schedule - Result of parseCron
+ * @param {Date} after - Search starts at the minute after this date
+ * @returns {Date|null} Next run time, null when the expression never matches
+ */
+export function getNextRun(schedule, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
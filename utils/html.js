@@ -0,0 +1,126 @@
+// Lightweight HTML helpers for the website crawler (regex based, pages only need text, links and JSON-LD)
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '-', mdash: '-', rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"', hellip: '...', copy: '©', reg: '®',
+};
+
+const BLOCK_TAGS = 'address|article|aside|blockquote|br|dd|div|dl|dt|footer|h[1-6]|header|hr|li|main|nav|ol|p|section|table|td|th|tr|ul';
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = (text) => String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isNaN(codePoint) || codePoint > 0x10ffff ? entity : String.fromCodePoint(codePoint);
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Get the page title
+ * @param {string} html - Page HTML
+ * @returns {string} Title, empty when missing
+ */
+export const extractTitle = (html) => {
+  const match = String(html ?? '').match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+};
+
+/**
+ * Get the readable text of a page, one line per block element
+ * @param {string} html - Page HTML
+ * @returns {string} Visible text
+ */
+export const extractText = (html) => {
+  const text = String(html ?? '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|template|iframe)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<head\b[\s\S]*?<\/head>/i, ' ')
+    .replace(new RegExp(`</?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Get the links of a page as absolute http(s) URLs without fragments
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL of the page, used to resolve relative links
+ * @returns {Array<{url: string, text: string}>} Links in page order, each URL once
+ */
+export const extractLinks = (html, baseUrl) => {
+  const links = new Map();
+  const pattern = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a>/gi;
+
+  for (const match of String(html ?? '').matchAll(pattern)) {
+    const href = decodeEntities(match[1] ?? match[2] ?? match[3] ?? '').trim();
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch {
+      continue;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      continue;
+    }
+    url.hash = '';
+    if (!links.has(url.href)) {
+      links.set(url.href, { url: url.href, text: extractText(match[4]).replace(/\n/g, ' ') });
+    }
+  }
+
+  return [...links.values()];
+};
+
+/**
+ * Get schema.org JSON-LD items of a page
+ * Arrays and @graph containers are flattened, blocks that are not valid JSON are skipped.
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} JSON-LD items
+ */
+export const extractJsonLd = (html) => {
+  const items = [];
+  const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      if (Array.isArray(value['@graph'])) {
+        value['@graph'].forEach(collect);
+      }
+      if (value['@type']) {
+        items.push(value);
+      }
+    }
+  };
+
+  for (const match of String(html ?? '').matchAll(pattern)) {
+    try {
+      collect(JSON.parse(match[1].trim()));
+    } catch {
+      // Broken JSON-LD is common on hotel sites, the page text is still used
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Check if a JSON-LD item has one of the given schema.org types
+ * @param {Object} item - JSON-LD item
+ * @param {Array<string>} types - Type names, e.g. ['Hotel', 'LodgingBusiness']
+ * @returns {boolean}
+ */
+export const hasSchemaType = (item, types) => {
+  const itemTypes = Array.isArray(item?.['@type']) ? item['@type'] : [item?.['@type']];
+  return itemTypes.some(type => types.includes(String(type).replace(/^https?:\/\/schema\.org\//, '')));
+};
@@ -0,0 +1,116 @@
+import { createHash } from 'crypto';
+
+// Small helpers for the HTTP API (server.js), built on node:http without a framework
+
+/**
+ * Create an error that the API turns into a JSON error response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @returns {Error} Error with a status property
+ */
+export const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value serialized as JSON, omitted for 304 responses
+ * @param {Object} headers - Extra response headers
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+  if (status === 304) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers,
+  });
+  res.end(payload);
+};
+
+/**
+ * Build caching headers from the newest updated_at of a resource
+ * The ETag also covers a variant (e.g. the selected fields), so different projections never share one.
+ * @param {Date|string|null} updatedAt - Newest updated_at of the resource
+ * @param {string} variant - Anything else the response depends on
+ * @returns {{ETag: string, 'Last-Modified'?: string}}
+ */
+export const getCacheHeaders = (updatedAt, variant = '') => {
+  const date = updatedAt ? new Date(updatedAt) : null;
+  const validDate = date && !Number.isNaN(date.getTime()) ? date : null;
+  const hash = createHash('sha1').update(`${validDate ? validDate.getTime() : 'none'}:${variant}`).digest('hex').slice(0, 20);
+
+  return {
+    ETag: `W/"${hash}"`,
+    ...(validDate ? { 'Last-Modified': validDate.toUTCString() } : {}),
+  };
+};
+
+/**
+ * Check the request's conditional headers against the caching headers of the response
+ * If-None-Match wins over If-Modified-Since, as in RFC 9110.
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} cacheHeaders - Result of getCacheHeaders
+ * @returns {boolean} True when a 304 can be sent
+ */
+export const isNotModified = (req, cacheHeaders) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === cacheHeaders.ETag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  const lastModified = Date.parse(cacheHeaders['Last-Modified'] || '');
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+};
+
+/**
+ * Get the newest date of a list of rows
+ * @param {Array<Object>} rows - Rows with a date column
+ * @param {string} column - Column name, default updated_at
+ * @returns {Date|null}
+ */
+export const getNewestDate = (rows, column = 'updated_at') => rows.reduce((newest, row) => {
+  const date = row[column] ? new Date(row[column]) : null;
+  return date && !Number.isNaN(date.getTime()) && (!newest || date > newest) ? date : newest;
+}, null);
+
+/**
+ * Read and parse a JSON request body, an empty body is an empty object
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Object>}
+ * @throws {Error} 413 when the body is too large, 400 when it is not a JSON object
+ */
+export const readJsonBody = async (req, maxBytes = 64 * 1024) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw httpError(413, `Request body larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    throw httpError(400, 'Request body is not valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+};
@@ -0,0 +1,16 @@
+// Reading JSON stored in MySQL
+
+/**
+ * Parse a JSON column value
+ * JSON columns come back parsed, TEXT columns holding JSON come back as strings.
+ * @param {*} value - Column value
+ * @param {*} fallback - Returned for NULL
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When a string value is not valid JSON
+ */
+export const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
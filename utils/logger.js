@@ -0,0 +1,110 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Logger with levels, pretty or JSON-lines output and per-run / per-hotel context
+// LOG_LEVEL  - debug, info (default), warn or error
+// LOG_FORMAT - pretty (default, human readable) or json (one JSON object per line for log aggregators)
+//
+// Context fields (run_id, hotel_uuid, ...) are attached to every line:
+// - logger.setContext({ run_id }) sets fields for the whole process
+// - logger.runWithContext({ hotel_uuid }, fn) sets fields for everything fn does, including
+//   concurrent async work, so lines of hotels processed in parallel stay attributable
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+let baseContext = {};
+
+const getMinLevel = () => LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const isJsonFormat = () => (process.env.LOG_FORMAT || 'pretty').toLowerCase() === 'json';
+
+// Errors are logged by message, everything else as is
+const normalizeMeta = (meta = {}) => {
+  const normalized = {};
+  Object.entries(meta).forEach(([key, value]) => {
+    normalized[key] = value instanceof Error ? value.message : value;
+  });
+  return normalized;
+};
+
+/**
+ * Get the context fields of the current async scope
+ * @returns {Object} Context fields
+ */
+const getContext = () => ({ ...baseContext, ...(contextStorage.getStore() || {}) });
+
+const write = (level, message, meta) => {
+  if (LEVELS[level] < getMinLevel()) {
+    return;
+  }
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  const context = getContext();
+  const { error, ...fields } = normalizeMeta(meta);
+
+  if (isJsonFormat()) {
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      msg: String(message).trim(),
+      ...context,
+      ...fields,
+      ...(error !== undefined ? { error } : {}),
+    };
+    stream.write(`${JSON.stringify(line)}\n`);
+    return;
+  }
+
+  // Pretty: keep the message as written, prefix the hotel when several may be processed at once
+  const prefix = context.hotel_uuid ? `[${context.hotel_uuid}] ` : '';
+  const leadingNewlines = String(message).match(/^\n*/)[0];
+  let line = `${leadingNewlines}${prefix}${String(message).slice(leadingNewlines.length)}`;
+  if (error !== undefined) {
+    line += `: ${error}`;
+  }
+  if (Object.keys(fields).length > 0) {
+    line += ` ${JSON.stringify(fields)}`;
+  }
+  stream.write(`${line}\n`);
+};
+
+export const logger = {
+  debug: (message, meta) => write('debug', message, meta),
+  info: (message, meta) => write('info', message, meta),
+  warn: (message, meta) => write('warn', message, meta),
+  error: (message, meta) => write('error', message, meta),
+
+  /**
+   * Print a separator line (pretty format only, skipped in JSON output)
+   * @param {string} char - Character to repeat
+   */
+  divider: (char = '=') => {
+    if (!isJsonFormat() && getMinLevel() <= LEVELS.info) {
+      process.stdout.write(`${char.repeat(60)}\n`);
+    }
+  },
+
+  /**
+   * Add fields to every line logged by this process
+   * @param {Object} fields - e.g. { run_id }
+   */
+  setContext: (fields) => {
+    baseContext = { ...baseContext, ...fields };
+  },
+
+  /**
+   * Run a function with extra context fields on every line it logs
+   * @param {Object} fields - e.g. { hotel_uuid }
+   * @param {Function} fn - Sync or async function
+   * @returns {*} Result of fn
+   */
+  runWithContext: (fields, fn) => contextStorage.run({ ...(contextStorage.getStore() || {}), ...fields }, fn),
+
+  getContext,
+
+  /**
+   * Check if a level is enabled, to skip building expensive debug payloads
+   * @param {string} level - Level name
+   * @returns {boolean}
+   */
+  isLevelEnabled: (level) => LEVELS[level] >= getMinLevel(),
+};
@@ -0,0 +1,54 @@
+import { sleep } from './backoff.js';
+
+/**
+ * Token bucket rate limiter
+ * Tokens refill continuously; acquire() waits until a token is available.
+ * Waiters are served in FIFO order so concurrent workers share the budget fairly.
+ * @example
+ * const limiter = new TokenBucket({ capacity: 5, refillPerMinute: 30 });
+ * await limiter.acquire();
+ * await callApi();
+ */
+export class TokenBucket {
+
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Max burst size
+   * @param {number} options.refillPerMinute - Tokens added per minute
+   */
+  constructor({ capacity, refillPerMinute }) {
+    this.capacity = Math.max(capacity, 1);
+    this.refillPerMs = Math.max(refillPerMinute, 0) / 60000;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  // Add tokens earned since the last refill
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token and consume it
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      while (this.tokens < 1) {
+        if (this.refillPerMs === 0) {
+          throw new Error('Rate limiter has no refill rate configured');
+        }
+        await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    // Keep the chain alive even if one waiter fails
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
@@ -0,0 +1,121 @@
+// robots.txt parsing for the website crawler
+
+/**
+ * Parse robots.txt into user-agent groups
+ * @param {string} text - robots.txt content
+ * @returns {Array<{agents: Array<string>, rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+export const parseRobotsTxt = (text) => {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text ?? '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) {
+      return;
+    }
+
+    if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) {
+        current.rules.push({ allow: key === 'allow', path: value });
+      }
+    } else if (key === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds)) {
+        current.crawlDelay = seconds;
+      }
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Pick the group that applies to a user agent: the most specific named group, else "*"
+ * @param {Array<Object>} groups - Result of parseRobotsTxt
+ * @param {string} userAgent - Crawler user agent
+ * @returns {Object|null} Matching group, null when none applies
+ */
+const findGroup = (groups, userAgent) => {
+  const agent = userAgent.toLowerCase();
+  let best = null;
+  let bestLength = -1;
+
+  groups.forEach(group => {
+    group.agents.forEach(name => {
+      if (name !== '*' && agent.includes(name) && name.length > bestLength) {
+        best = group;
+        bestLength = name.length;
+      }
+    });
+  });
+
+  return best || groups.find(group => group.agents.includes('*')) || null;
+};
+
+// Robots paths support "*" (any characters) and a trailing "$" (end of path)
+const toPattern = (path) => {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Build a checker for one site's robots.txt
+ * The longest matching rule wins, Allow wins ties, paths without a matching rule are allowed.
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Crawler user agent
+ * @returns {{isAllowed: function(string): boolean, crawlDelayMs: number|null}}
+ * @example
+ * const robots = createRobotsRules('User-agent: *\nDisallow: /admin', 'VaiaBot');
+ * robots.isAllowed('/admin/login'); // false
+ */
+export const createRobotsRules = (text, userAgent) => {
+  const group = findGroup(parseRobotsTxt(text), userAgent);
+  const rules = (group?.rules || []).map(rule => ({ ...rule, pattern: toPattern(rule.path) }));
+
+  return {
+    isAllowed: (pathWithQuery) => {
+      let match = null;
+      rules.forEach(rule => {
+        if (!rule.pattern.test(pathWithQuery)) {
+          return;
+        }
+        if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+          match = rule;
+        }
+      });
+      return match ? match.allow : true;
+    },
+    crawlDelayMs: group?.crawlDelay !== null && group?.crawlDelay !== undefined ? group.crawlDelay * 1000 : null,
+  };
+};
+
+// Rules used when robots.txt cannot be read
+export const ALLOW_ALL = { isAllowed: () => true, crawlDelayMs: null };
+export const DISALLOW_ALL = { isAllowed: () => false, crawlDelayMs: null };
@@ -0,0 +1,68 @@
+import { getModelPrice } from '../config/llm.js';
+import { logger } from './logger.js';
+
+// Token usage helpers
+// A usage entry is recorded per AI call: { provider, model, prompt_tokens, completion_tokens, cost_usd }
+
+// Models without a price are warned about once per process
+const unpricedModels = new Set();
+
+/**
+ * Estimate the cost of an AI call from the price table (MODEL_PRICES / LLM_PRICES)
+ * Models without a known price count as free.
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number} Cost in USD
+ */
+export const getCallCost = (model, promptTokens, completionTokens) => {
+  const price = getModelPrice(model);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(`⚠️  No price known for model "${model}", its calls are counted as free (set LLM_PRICES)`);
+    }
+    return 0;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6 + price.requests / 1e3;
+};
+
+/**
+ * Build a usage entry from a provider completion
+ * @param {Object} completion - Result of provider.complete
+ * @returns {Object} Usage entry
+ */
+export const toUsageEntry = (completion) => {
+  const promptTokens = completion.usage?.prompt_tokens || 0;
+  const completionTokens = completion.usage?.completion_tokens || 0;
+  return {
+    provider: completion.provider,
+    model: completion.model,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    cost_usd: getCallCost(completion.model, promptTokens, completionTokens),
+  };
+};
+
+/**
+ * Sum usage entries
+ * @param {Array<Object>} entries - Usage entries
+ * @returns {{calls: number, prompt_tokens: number, completion_tokens: number, total_tokens: number, cost_usd: number}}
+ */
+export const summarizeUsage = (entries = []) => {
+  const summary = { calls: entries.length, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+  entries.forEach(entry => {
+    summary.prompt_tokens += entry.prompt_tokens || 0;
+    summary.completion_tokens += entry.completion_tokens || 0;
+    summary.cost_usd += entry.cost_usd || 0;
+  });
+  summary.total_tokens = summary.prompt_tokens + summary.completion_tokens;
+  return summary;
+};
+
+/**
+ * Format a cost for logs
+ * @param {number} costUsd - Cost in USD
+ * @returns {string} e.g. '$0.0123'
+ */
+export const formatCost = (costUsd) => `$${costUsd.toFixed(4)}`;
@@ -0,0 +1,32 @@
+import { logger } from './logger.js';
+
+/**
+ * Run an async worker over items with at most `concurrency` workers in flight
+ * Items are picked in order; a failing item is logged and does not stop the pool (workers should still handle their own errors).
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Max number of items processed at the same time
+ * @param {Function} worker - async (item, index) => void
+ * @param {Object} options - Optional: { signal } - once aborted no new item is started, items in flight finish
+ * @returns {Promise<void>} Resolves when every item has been processed (or started ones, after an abort)
+ * @example
+ * await runWithConcurrency(hotels, 4, async (hotel, index) => {
+ *   await processHotelWithRetry(hotel);
+ * });
+ */
+export async function runWithConcurrency(items, concurrency, worker, { signal = null } = {}) {
+  let nextIndex = 0;
+  const workerCount = Math.min(Math.max(concurrency, 1), items.length);
+
+  const runWorker = async () => {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex++;
+      try {
+        await worker(items[index], index);
+      } catch (error) {
+        logger.error(`❌ Worker failed on item ${index + 1}/${items.length}`, { error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}